@@ -0,0 +1,456 @@
+import * as THREE from 'three';
+import { getRefs } from './scene.js';
+import { Bus } from './data.js';
+import { getFlightModel } from './balls.js';
+import { MOUND_TO_PLATE } from './trajectory.js';
+import { createGrassMaterial, createDirtMaterial } from './turf.js';
+import { registerUrlState } from './urlstate.js';
+
+// Optional ballpark around the mound and plate: mowed grass, infield dirt, chalk lines and
+// batter's boxes, bases, backstop, catcher and umpire silhouettes, the outfield wall of a
+// chosen park, and day / night lighting. All procedural. Picking a park sends its
+// elevation and typical game-time temperature to the flight model ('parkConditions');
+// turning the park off sends the user's own conditions back.
+//
+// Scene frame: mound at the origin, home plate's back tip at z = -60.5, the field toward
+// +z; the third-base side is +x.
+
+const HOME = new THREE.Vector2(0, -MOUND_TO_PLATE);   // (x, z)
+const BASE_FT = 90;
+const INFIELD_ARC_FT = 95;       // dirt arc radius around the mound
+const HOME_CIRCLE_FT = 13;
+const BASE_CIRCLE_FT = 9;
+const TRACK_FT = 15;             // warning track width
+const BACKSTOP_FT = 60;
+const CHALK_FT = 0.25;
+const FIGURE_BOX = { x: 3, zMin: -68, zMax: -61.5, y: 6 };   // camera here: hide catcher + umpire
+
+/**
+ * Approximate published dimensions (ft from home: LF line, left-centre, CF, right-centre,
+ * RF line), wall heights at those five points, elevation (ft) and a typical game-time
+ * temperature (°F).
+ */
+export const PARKS = {
+  generic: { label: 'Generic park', dims: [330, 375, 400, 375, 330], wall: [8, 8, 8, 8, 8], elevationFt: 500, temperatureF: 72 },
+  coors: { label: 'Coors Field', dims: [347, 390, 415, 375, 350], wall: [8, 8, 8, 14, 14], elevationFt: 5190, temperatureF: 76 },
+  fenway: { label: 'Fenway Park', dims: [310, 379, 390, 380, 302], wall: [37, 37, 17, 5, 5], elevationFt: 20, temperatureF: 68 },
+  yankee: { label: 'Yankee Stadium', dims: [318, 399, 408, 385, 314], wall: [8, 8, 8, 8, 8], elevationFt: 55, temperatureF: 74 },
+  wrigley: { label: 'Wrigley Field', dims: [355, 368, 400, 368, 353], wall: [11.5, 11.5, 11.5, 11.5, 11.5], elevationFt: 595, temperatureF: 70 },
+  oracle: { label: 'Oracle Park', dims: [339, 364, 391, 415, 309], wall: [8, 8, 8, 20, 24], elevationFt: 10, temperatureF: 62 }
+};
+export const DEFAULT_PARK = 'generic';
+
+// looks applied over the studio scene while the park is on
+const LIGHTING = {
+  day: {
+    label: 'Day', background: 0x8fb9de, fog: [260, 1100], exposure: 1.0,
+    key: [0xfff1dc, 2.2], fill: [0xbcd7ff, 0x3b2a14, 0.8], plate: 0.4, towers: 0x555555
+  },
+  night: {
+    label: 'Night', background: 0x060912, fog: [240, 900], exposure: 1.15,
+    key: [0xe6eeff, 1.7], fill: [0x32425e, 0x120d08, 0.45], plate: 0.9, towers: 0xfff8e6
+  }
+};
+
+let _on = false;
+let _park = DEFAULT_PARK;
+let _lighting = 'day';
+let _group = null;
+let _figures = null;
+let _towerMaterial = null;
+let _studio = null;   // the scene's own look, put back when the park is turned off
+let _userEnv = null;  // the user's temperature/elevation, likewise
+
+// ---------- geometry helpers ----------
+const dir = (deg) => new THREE.Vector2(Math.sin(deg * Math.PI / 180), Math.cos(deg * Math.PI / 180));
+const along = (deg, ft) => HOME.clone().addScaledVector(dir(deg), ft);
+const shapePoint = (v) => new THREE.Vector2(v.x, -v.y);   // (x, z) -> shape coords, see flat()
+
+// ground shapes are drawn in (x, -z) and laid flat; `layer` keeps coplanar pieces ordered
+function flat(shape, material, layer) {
+  const mesh = new THREE.Mesh(new THREE.ShapeGeometry(shape, 48), material);
+  mesh.rotation.x = -Math.PI / 2;
+  mesh.position.y = 0.002 * layer;
+  mesh.renderOrder = layer;
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+function layered(material, layer) {
+  material.polygonOffset = true;
+  material.polygonOffsetFactor = -layer;
+  material.polygonOffsetUnits = -layer;
+  return material;
+}
+
+function circle(center, r) {
+  const s = new THREE.Shape();
+  const c = shapePoint(center);
+  s.absarc(c.x, c.y, r, 0, Math.PI * 2, false);
+  return s;
+}
+
+// foul-line intersection with a circle around the mound (distance along the line)
+function lineMeetsArc(deg, r) {
+  const d = dir(deg);
+  const b = HOME.dot(d), c = HOME.lengthSq() - r * r;
+  return -b + Math.sqrt(b * b - c);
+}
+
+// one mesh of flat quads for every chalk line
+function chalkLines(segments, material) {
+  const pos = [];
+  for (const [a, b] of segments) {
+    const n = new THREE.Vector2(b.y - a.y, a.x - b.x).normalize().multiplyScalar(CHALK_FT / 2);
+    const q = [a.clone().add(n), a.clone().sub(n), b.clone().sub(n), b.clone().add(n)];
+    for (const i of [0, 1, 2, 0, 2, 3]) pos.push(q[i].x, 0, q[i].y);
+  }
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.Float32BufferAttribute(pos, 3));
+  geo.computeVertexNormals();
+  const mesh = new THREE.Mesh(geo, material);
+  mesh.position.y = 0.012;
+  mesh.renderOrder = 5;
+  return mesh;
+}
+
+function rectSegments(x0, z0, x1, z1) {
+  const p = (x, z) => new THREE.Vector2(x, z);
+  return [[p(x0, z0), p(x1, z0)], [p(x1, z0), p(x1, z1)], [p(x1, z1), p(x0, z1)], [p(x0, z1), p(x0, z0)]];
+}
+
+/**
+ * Vertical band along ground points `pts` ([x, z]) from height bottom(i) to top(i),
+ * with UVs in feet (u along the band, v up).
+ */
+function band(pts, bottom, top, material) {
+  const pos = [], uv = [], index = [];
+  let u = 0;
+  pts.forEach((p, i) => {
+    if (i) u += p.distanceTo(pts[i - 1]);
+    pos.push(p.x, bottom(i), p.y, p.x, top(i), p.y);
+    uv.push(u, bottom(i), u, top(i));
+    if (i) { const k = 2 * i; index.push(k - 2, k - 1, k, k - 1, k + 1, k); }
+  });
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.Float32BufferAttribute(pos, 3));
+  geo.setAttribute('uv', new THREE.Float32BufferAttribute(uv, 2));
+  geo.setIndex(index);
+  geo.computeVertexNormals();
+  return new THREE.Mesh(geo, material);
+}
+
+// ---------- pieces ----------
+function buildGround(group, park) {
+  const grass = layered(createGrassMaterial(), 1);
+  const dirt = layered(createDirtMaterial(), 2);
+  const infieldGrass = layered(createGrassMaterial(), 3);
+  const cutouts = layered(createDirtMaterial(), 4);
+
+  const deep = Math.max(...park.dims) + 250;
+  group.add(flat(circle(HOME, deep), grass, 1));
+
+  // infield dirt: along both foul lines out to the arc around the mound
+  const reach = lineMeetsArc(45, INFIELD_ARC_FT);
+  const p3 = shapePoint(along(45, reach)), p1 = shapePoint(along(-45, reach)), h = shapePoint(HOME);
+  const infield = new THREE.Shape();
+  infield.moveTo(h.x, h.y);
+  infield.lineTo(p3.x, p3.y);
+  infield.absarc(0, 0, INFIELD_ARC_FT, Math.atan2(p3.y, p3.x), Math.atan2(p1.y, p1.x), true);
+  infield.lineTo(h.x, h.y);
+  group.add(flat(infield, dirt, 2));
+
+  // infield grass: the diamond pulled in past the base paths
+  const bases = [along(45, BASE_FT), along(0, BASE_FT * Math.SQRT2), along(-45, BASE_FT)];
+  const centre = HOME.clone().lerp(bases[1], 0.5);
+  const inset = (v) => shapePoint(centre.clone().lerp(v, 42 / 45));
+  group.add(flat(new THREE.Shape([HOME, ...bases].map(inset)), infieldGrass, 3));
+
+  // home-plate circle and base cut-outs
+  const plateMiddle = new THREE.Vector2(0, -MOUND_TO_PLATE + 17 / 24);
+  group.add(flat(circle(plateMiddle, HOME_CIRCLE_FT), cutouts, 4));
+  for (const b of bases) group.add(flat(circle(b, BASE_CIRCLE_FT), cutouts, 4));
+
+  // bases
+  const baseMaterial = new THREE.MeshStandardMaterial({ color: 0xf4f4f4, roughness: 0.7 });
+  for (const b of bases) {
+    const bag = new THREE.Mesh(new THREE.BoxGeometry(1.25, 0.25, 1.25), baseMaterial);
+    bag.position.set(b.x, 0.125, b.y);
+    bag.rotation.y = Math.PI / 4;
+    bag.castShadow = true;
+    group.add(bag);
+  }
+
+  // chalk: foul lines to the wall, batter's boxes (4 x 6 ft, 6 in off the plate), catcher's box
+  const boxIn = 17 / 24 + 0.5, boxOut = boxIn + 4;
+  const z0 = plateMiddle.y - 3, z1 = plateMiddle.y + 3;
+  const segments = [
+    [HOME, along(45, park.dims[0])], [HOME, along(-45, park.dims[4])],
+    ...rectSegments(boxIn, z0, boxOut, z1), ...rectSegments(-boxOut, z0, -boxIn, z1),
+    [new THREE.Vector2(43 / 24, z0), new THREE.Vector2(43 / 24, z0 - 8)],
+    [new THREE.Vector2(-43 / 24, z0), new THREE.Vector2(-43 / 24, z0 - 8)],
+    [new THREE.Vector2(-43 / 24, z0 - 8), new THREE.Vector2(43 / 24, z0 - 8)]
+  ];
+  group.add(chalkLines(segments, layered(new THREE.MeshStandardMaterial({ color: 0xf2f2f2, roughness: 0.9, side: THREE.DoubleSide }), 5)));
+}
+
+function buildWall(group, park) {
+  // through the five published distances, foul line to foul line
+  const angles = [45, 22.5, 0, -22.5, -45];
+  const curve = new THREE.CatmullRomCurve3(angles.map((a, i) => {
+    const p = along(a, park.dims[i]);
+    return new THREE.Vector3(p.x, 0, p.y);
+  }));
+  const N = 96;
+  const pts = curve.getPoints(N).map(v => new THREE.Vector2(v.x, v.z));
+  const heightAt = (i) => {
+    const t = (i / N) * (park.wall.length - 1), k = Math.min(Math.floor(t), park.wall.length - 2);
+    return THREE.MathUtils.lerp(park.wall[k], park.wall[k + 1], t - k);
+  };
+
+  const pad = new THREE.MeshStandardMaterial({ color: 0x0f3b2a, roughness: 0.85, side: THREE.DoubleSide });
+  group.add(band(pts, () => 0, heightAt, pad));
+  const stripe = new THREE.MeshBasicMaterial({ color: 0xffd60a, side: THREE.DoubleSide });
+  group.add(band(pts, i => heightAt(i) - 0.35, heightAt, stripe));
+
+  // warning track: a strip just inside the wall
+  const pos = [], uv = [], index = [];
+  pts.forEach((p, i) => {
+    const inner = p.clone().sub(HOME).setLength(p.distanceTo(HOME) - TRACK_FT).add(HOME);
+    pos.push(p.x, 0, p.y, inner.x, 0, inner.y);
+    uv.push(p.x, -p.y, inner.x, -inner.y);
+    if (i) { const k = 2 * i; index.push(k - 2, k, k - 1, k - 1, k, k + 1); }
+  });
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.Float32BufferAttribute(pos, 3));
+  geo.setAttribute('uv', new THREE.Float32BufferAttribute(uv, 2));
+  geo.setIndex(index);
+  geo.computeVertexNormals();
+  const track = new THREE.Mesh(geo, layered(createDirtMaterial(), 2));
+  track.material.side = THREE.DoubleSide;
+  track.position.y = 0.004;
+  track.renderOrder = 2;
+  group.add(track);
+
+  // foul poles and the batter's eye behind centre field
+  const pole = new THREE.MeshStandardMaterial({ color: 0xffd60a, roughness: 0.6 });
+  for (const [i, k] of [[0, 0], [N, park.dims.length - 1]]) {
+    const h = park.wall[k] + 35;
+    const m = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, h, 12), pole);
+    m.position.set(pts[i].x, h / 2, pts[i].y);
+    group.add(m);
+  }
+  const eye = new THREE.Mesh(new THREE.PlaneGeometry(70, 40), new THREE.MeshStandardMaterial({ color: 0x0b0d10, roughness: 1 }));
+  const cf = along(0, park.dims[2] + 25);
+  eye.position.set(cf.x, 20, cf.y);
+  eye.rotation.y = Math.PI;   // face home
+  group.add(eye);
+
+  // light towers beyond the wall; their lamps glow in the night preset
+  _towerMaterial = new THREE.MeshBasicMaterial({ color: LIGHTING[_lighting].towers });
+  const steel = new THREE.MeshStandardMaterial({ color: 0x3a3d42, roughness: 0.7 });
+  for (const a of [-70, -30, 30, 70]) {
+    const at = along(a, park.dims[2] + 60);
+    const mast = new THREE.Mesh(new THREE.CylinderGeometry(0.8, 1.2, 110, 8), steel);
+    mast.position.set(at.x, 55, at.y);
+    const lamps = new THREE.Mesh(new THREE.BoxGeometry(24, 10, 1), _towerMaterial);
+    lamps.position.set(at.x, 112, at.y);
+    lamps.lookAt(HOME.x, 0, HOME.y);
+    group.add(mast, lamps);
+  }
+}
+
+function buildBackstop(group) {
+  const pts = [];
+  for (let a = 120; a <= 240; a += 4) pts.push(along(a, BACKSTOP_FT));
+  group.add(band(pts, () => 0, () => 8,
+    new THREE.MeshStandardMaterial({ color: 0x12324a, roughness: 0.9, side: THREE.DoubleSide })));
+  group.add(band(pts, () => 8, () => 30,
+    new THREE.MeshBasicMaterial({ color: 0x9aa0a6, transparent: true, opacity: 0.12, side: THREE.DoubleSide, depthWrite: false })));
+}
+
+// crouched catcher and the umpire behind him, facing the mound
+function buildFigures() {
+  const skin = new THREE.MeshStandardMaterial({ color: 0x16181c, roughness: 0.9 });
+  const figures = new THREE.Group();
+  const part = (geo, x, y, z, tilt = 0) => {
+    const m = new THREE.Mesh(geo, skin);
+    m.position.set(x, y, z);
+    m.rotation.x = tilt;
+    m.castShadow = true;
+    return m;
+  };
+
+  const catcher = new THREE.Group();
+  catcher.add(
+    part(new THREE.CapsuleGeometry(0.55, 1.0, 4, 12), 0, 2.0, 0, 0.35),
+    part(new THREE.SphereGeometry(0.45, 16, 12), 0, 3.05, 0.3),
+    part(new THREE.CapsuleGeometry(0.28, 1.1, 4, 8), 0.5, 1.25, 0.35, Math.PI / 2),
+    part(new THREE.CapsuleGeometry(0.28, 1.1, 4, 8), -0.5, 1.25, 0.35, Math.PI / 2),
+    part(new THREE.CapsuleGeometry(0.25, 0.8, 4, 8), 0.55, 0.6, 0.95),
+    part(new THREE.CapsuleGeometry(0.25, 0.8, 4, 8), -0.55, 0.6, 0.95),
+    part(new THREE.SphereGeometry(0.4, 12, 10), -0.35, 2.0, 1.0)    // mitt
+  );
+  catcher.position.set(0, 0, -MOUND_TO_PLATE - 2.6);
+
+  const umpire = new THREE.Group();
+  umpire.add(
+    part(new THREE.CapsuleGeometry(0.3, 1.6, 4, 8), 0.55, 1.2, 0),
+    part(new THREE.CapsuleGeometry(0.3, 1.6, 4, 8), -0.55, 1.2, 0),
+    part(new THREE.CapsuleGeometry(0.65, 1.3, 4, 12), 0, 3.25, 0.2, 0.3),
+    part(new THREE.SphereGeometry(0.45, 16, 12), 0, 4.55, 0.55)
+  );
+  umpire.position.set(0.6, 0, -MOUND_TO_PLATE - 5);
+
+  figures.add(catcher, umpire);
+  return figures;
+}
+
+function disposeGroup() {
+  if (!_group) return;
+  getRefs().scene.remove(_group);
+  _group.traverse(o => {
+    if (!o.isMesh) return;
+    o.geometry.dispose();
+    o.material.map?.dispose();
+    o.material.dispose();
+  });
+  _group = null;
+  _figures = null;
+  _towerMaterial = null;
+}
+
+function build() {
+  disposeGroup();
+  const park = PARKS[_park];
+  _group = new THREE.Group();
+  _group.name = 'ballpark';
+  buildGround(_group, park);
+  buildWall(_group, park);
+  buildBackstop(_group);
+  _figures = buildFigures();
+  _group.add(_figures);
+  getRefs().scene.add(_group);
+}
+
+// ---------- lighting ----------
+function captureStudio() {
+  const { scene, renderer, lights } = getRefs();
+  _studio = {
+    background: scene.background.clone(),
+    fog: [scene.fog.color.clone(), scene.fog.near, scene.fog.far],
+    exposure: renderer.toneMappingExposure,
+    key: [lights.key.color.clone(), lights.key.intensity],
+    fill: [lights.fill.color.clone(), lights.fill.groundColor.clone(), lights.fill.intensity],
+    plate: lights.plate.intensity
+  };
+}
+
+function applyLighting() {
+  const { scene, renderer, lights } = getRefs();
+  if (!_on) {
+    scene.background.copy(_studio.background);
+    scene.fog.color.copy(_studio.fog[0]);
+    [, scene.fog.near, scene.fog.far] = _studio.fog;
+    renderer.toneMappingExposure = _studio.exposure;
+    lights.key.color.copy(_studio.key[0]); lights.key.intensity = _studio.key[1];
+    lights.fill.color.copy(_studio.fill[0]); lights.fill.groundColor.copy(_studio.fill[1]);
+    lights.fill.intensity = _studio.fill[2];
+    lights.plate.intensity = _studio.plate;
+    return;
+  }
+  const l = LIGHTING[_lighting];
+  scene.background.setHex(l.background);
+  scene.fog.color.setHex(l.background);
+  [scene.fog.near, scene.fog.far] = l.fog;
+  renderer.toneMappingExposure = l.exposure;
+  lights.key.color.setHex(l.key[0]); lights.key.intensity = l.key[1];
+  lights.fill.color.setHex(l.fill[0]); lights.fill.groundColor.setHex(l.fill[1]);
+  lights.fill.intensity = l.fill[2];
+  lights.plate.intensity = l.plate;
+  _towerMaterial?.color.setHex(l.towers);
+}
+
+// the catcher and umpire stand where the plate-side cameras sit: hide them from in there
+function hideFiguresNearCamera(renderer, scene, camera) {
+  if (!_figures) return;
+  const p = camera.position;
+  _figures.visible = !(Math.abs(p.x) < FIGURE_BOX.x && p.z > FIGURE_BOX.zMin && p.z < FIGURE_BOX.zMax && p.y < FIGURE_BOX.y);
+}
+
+// ---------- public ----------
+export function setBallparkVisible(on) {
+  if (!!on === _on) return;
+  _on = !!on;
+  const { scene } = getRefs();
+  if (_on) {
+    _userEnv = getFlightModel().env;
+    build();
+    scene.onBeforeRender = hideFiguresNearCamera;
+  } else {
+    disposeGroup();
+    scene.onBeforeRender = THREE.Object3D.prototype.onBeforeRender;
+  }
+  applyLighting();
+  if (!_on && _userEnv) {
+    const { elevationFt, temperatureF } = _userEnv;
+    _userEnv = null;
+    Bus.emit('parkConditions', { park: null, elevationFt, temperatureF });
+  }
+}
+
+/** Switch park (rebuilds the field) and pass its conditions to the flight model. */
+export function setPark(id) {
+  if (!PARKS[id]) return;
+  _park = id;
+  if (_on) build();
+  applyLighting();
+  const { elevationFt, temperatureF } = PARKS[id];
+  Bus.emit('parkConditions', { park: id, elevationFt, temperatureF });
+}
+
+export function setLighting(id) {
+  if (!LIGHTING[id]) return;
+  _lighting = id;
+  applyLighting();
+}
+
+export function initBallpark() {
+  const toggle = document.getElementById('parkToggle');
+  const row = document.getElementById('parkRow');
+  const parkSel = document.getElementById('parkSelect');
+  const lightSel = document.getElementById('lightingSelect');
+  const note = document.getElementById('parkNote');
+  captureStudio();
+
+  for (const [id, p] of Object.entries(PARKS)) parkSel.appendChild(new Option(p.label, id));
+  for (const [id, l] of Object.entries(LIGHTING)) lightSel.appendChild(new Option(l.label, id));
+  parkSel.value = _park;
+  lightSel.value = _lighting;
+
+  const describe = () => {
+    const p = PARKS[_park];
+    note.textContent = `${p.dims.join('/')} ft · ${p.elevationFt.toLocaleString()} ft elev · ${p.temperatureF}°F (physics model)`;
+  };
+  describe();
+
+  toggle.addEventListener('change', () => {
+    row.hidden = !toggle.checked;
+    setBallparkVisible(toggle.checked);
+    if (toggle.checked) setPark(parkSel.value);
+  });
+  parkSel.addEventListener('change', () => { setPark(parkSel.value); describe(); });
+  lightSel.addEventListener('change', () => setLighting(lightSel.value));
+
+  registerUrlState('park', {
+    get: () => (_on ? { p: _park, l: _lighting } : undefined),
+    set: ({ p, l }) => {
+      if (PARKS[p]) parkSel.value = p;
+      if (LIGHTING[l]) { lightSel.value = l; setLighting(l); }
+      describe();
+      toggle.checked = true;
+      toggle.dispatchEvent(new Event('change'));
+      return PARKS[p] ? null : `Ballpark "${p}" isn't available; showing ${PARKS[_park].label}.`;
+    }
+  });
+}
@@ -1,147 +1,410 @@
 import * as THREE from 'three';
-import { createHalfColorMaterial, getSpinAxisVector } from './materials.js';
-import { pitchColorMap } from './constants.js';
+import { createHalfColorMaterial, getSpinAxisVector, getSeamOrientation } from './materials.js';
+import { pitchColor } from './palette.js';
 import { getRefs } from './scene.js';
 import { Bus } from './data.js';
+import { createTrajectory, releaseSpeedMph } from './trajectory.js';
+import { createPhysicsTrajectory, DEFAULT_ENV, spinEfficiency, inferredSpinAxis, spinAxisDeviation } from './physics.js';
+import { createTrailBuffer } from './trails.js';
+import { pitchIssues } from './schema.js';
+import { restart, setDuration } from './playback.js';
+
+const BALL_GEOMETRY = new THREE.SphereGeometry(0.145, 32, 32); // shared by every ball
+const TRAIL_DT = 1 / 120; // s of flight between trail dots
+const PICK_TRAIL_FT = 0.15; // how close a ray must pass a trail to pick it
+const TRAIL_FADE_S = 1.2; // sequence mode: an earlier pitch's trail fades out over this once the next is thrown
 
 let balls = [];
-let trailDots = [];
+let trail = null; // instanced trail dots, created on first use
+let trailT = -1;  // playback time the trail has been drawn up to
 let showTrail = false;
+let ghost = null; // design-sandbox copy of a pitch, flown beside the original
+let showSpinAxes = false;
+let selectedKey = null; // ball the metrics panel follows (null: the newest)
+let flight = { model: 'statcast', env: { ...DEFAULT_ENV } };
+let sequenceGap = null; // seconds between pitches in sequence mode; null: all released together
+let ballCutoff = null;  // seconds after release when balls vanish (recognition quiz); null: never
+let blind = false;      // recognition quiz: no live telemetry and no picking, nothing to read the pitch off
+
+function buildTrajectory(pitch) {
+  return flight.model === 'physics'
+    ? createPhysicsTrajectory(pitch, { env: flight.env })
+    : createTrajectory(pitch);
+}
+
+// 'statcast' replays the constant-acceleration fit; 'physics' integrates drag + Magnus
+export function setFlightModel(model, env) {
+  flight = {
+    model: model === 'physics' ? 'physics' : 'statcast',
+    env: { ...flight.env, ...(env || {}) }
+  };
+  for (const b of balls) {
+    b.userData.traj = buildTrajectory(b.userData.datum);
+    b.userData.tEnd = b.userData.traj.timeToScenePlate();
+  }
+  syncDuration();
+  replayAll();
+  Bus.emit('flightModel', getFlightModel());
+  Bus.emit('ballsChanged', balls.length);
+}
+
+export function getFlightModel() {
+  return { model: flight.model, env: { ...flight.env } };
+}
+
+// Spin axis from spin_axis + efficiency (gyro along the flight), plus the movement-inferred
+// axis; a large gap between the two is the seam-shifted-wake signature.
+function spinState(pitch, pitchType) {
+  const efficiency = spinEfficiency(pitch, flight.env);
+  const gyroSign = pitch.p_throws === 'L' ? -1 : 1;
+  const spinAxis = getSpinAxisVector(pitch.spin_axis || 0, efficiency, gyroSign);
+  const inferred = inferredSpinAxis(pitch);
+  return {
+    spinRate: pitch.release_spin_rate || 0,
+    spinAxis,
+    inferredAxis: Number.isFinite(inferred) ? getSpinAxisVector(inferred, efficiency, gyroSign) : null,
+    spinDeviation: spinAxisDeviation(pitch),
+    orientation: getSeamOrientation(spinAxis, pitchType),
+  };
+}
+
+const ARROW_LEN = 0.7;
+
+function attachSpinArrows(ball) {
+  const { scene } = getRefs();
+  const { spinAxis, inferredAxis } = ball.userData;
+  const arrows = [[spinAxis, 0xffd60a], [inferredAxis, 0x64d2ff]]
+    .filter(([dir]) => dir)
+    .map(([dir, color]) => {
+      const a = new THREE.ArrowHelper(dir, ball.position, ARROW_LEN, color, 0.14, 0.08);
+      a.userData.dir = dir;
+      scene.add(a);
+      return a;
+    });
+  ball.userData.arrows = arrows;
+  updateSpinArrows(ball);
+}
 
-export function clearBalls() {
+function detachSpinArrows(ball) {
   const { scene } = getRefs();
-  for (const d of trailDots) scene.remove(d.mesh);
-  trailDots = [];
-  for (const b of balls) scene.remove(b);
+  for (const a of ball.userData.arrows || []) { scene.remove(a); a.dispose?.(); }
+  ball.userData.arrows = null;
+}
+
+// arrows stay centred on the ball; they do not spin with it
+function updateSpinArrows(ball) {
+  for (const a of ball.userData.arrows || []) {
+    a.position.copy(ball.position).addScaledVector(a.userData.dir, -ARROW_LEN / 2);
+  }
+}
+
+export function setSpinAxesVisible(on) {
+  showSpinAxes = !!on;
+  for (const b of flying()) {
+    detachSpinArrows(b);
+    if (showSpinAxes) attachSpinArrows(b);
+  }
+}
+
+function getTrail() {
+  if (!trail) trail = createTrailBuffer(getRefs().scene);
+  return trail;
+}
+
+// Balls share geometry and cached materials, so removing one only detaches it.
+function disposeBall(ball) {
+  const { scene } = getRefs();
+  detachSpinArrows(ball);
+  scene.remove(ball);
+}
+
+// no owner: wipe the scene; with an owner (compare mode): only that pitcher's balls
+export function clearBalls(owner) {
+  sequenceGap = null;
+  if (owner !== undefined) {
+    balls = balls.filter(b => {
+      if (b.userData.owner !== owner) return true;
+      disposeBall(b);
+      trail?.removeType(b.userData.key);
+      return false;
+    });
+    syncDuration();
+    Bus.emit('ballsChanged', balls.length);
+    return;
+  }
+  clearTrails();
+  for (const b of balls) disposeBall(b);
   balls = [];
+  clearGhostBall();
+  syncDuration();
+  Bus.emit('ballsChanged', 0);
+}
+
+// Scene identity of a ball: the pitch key, prefixed with its pitcher in compare mode.
+export function ballKey(pitchType, owner = null) {
+  return owner ? `${owner} · ${pitchType}` : pitchType;
+}
+
+export function hasBall(pitchType, owner = null) {
+  const key = ballKey(pitchType, owner);
+  return balls.some(b => b.userData.key === key);
+}
+
+// compare-mode tint wins over the pitch-type colour
+function ballColor(userData) {
+  return userData.tint ?? pitchColor(userData.type);
+}
+
+// read-only view of the balls in the scene (ghost excluded)
+export function getBallsInfo() {
+  return balls.map(({ userData: u }) => ({
+    key: u.key, type: u.type, owner: u.owner, color: ballColor(u), datum: u.datum, traj: u.traj, t0: u.t0
+  }));
+}
+
+export function setSelectedBall(key) {
+  selectedKey = key || null;
+}
+
+// Key of the ball under the ray, or with trails on, of the nearest drawn trail; else null.
+export function pickBall(raycaster) {
+  if (blind) return null;
+  // hidden balls (sequence pitches not thrown yet) still intersect the ray
+  const hit = raycaster.intersectObjects(balls.filter(b => b.visible), false)[0];
+  if (hit) return hit.object.userData.key;
+  if (!showTrail || trailT < 0) return null;
+
+  let best = null, bestD = PICK_TRAIL_FT * PICK_TRAIL_FT;
+  const v = new THREE.Vector3();
+  for (const b of balls) {
+    if (!b.visible) continue;
+    const { traj, tEnd, key, t0 } = b.userData;
+    const tMax = Number.isFinite(tEnd) ? Math.min(trailT - t0, tEnd, ballCutoff ?? Infinity) : 0;
+    for (let t = 0; t <= tMax; t += TRAIL_DT * 2) {
+      const p = traj.scenePositionAt(t);
+      const d = raycaster.ray.distanceSqToPoint(v.set(p.x, p.y, p.z));
+      if (d < bestD) { bestD = d; best = key; }
+    }
+  }
+  return best;
 }
 
 // NEW: explicit trail clearer (doesn't touch toggle)
 export function clearTrails() {
-  const { scene } = getRefs();
-  for (const d of trailDots) scene.remove(d.mesh);
-  trailDots = [];
+  trail?.clear();
+  trailT = -1;
+  for (const b of balls) b.userData.fade = 1;
 }
 
 export function setTrailVisible(on) {
   showTrail = !!on;
-  if (!showTrail) {
-    clearTrails(); // use the central clearer
-  }
+  clearTrails(); // when turned on, the next frame redraws the path from release
 }
 
-export function addBall(pitch, pitchType) {
-  const { scene, clock } = getRefs();
+// opts.owner/opts.color: compare key (team · pitcher) and tint when several pitchers share the scene
+export function addBall(pitch, pitchType, opts = {}) {
+  if (!createBall(pitch, pitchType, opts)) return;
+  ballsAdded();
+}
 
-  const ball = new THREE.Mesh(
-    new THREE.SphereGeometry(0.145, 32, 32),
-    createHalfColorMaterial(pitchType)
-  );
-  ball.castShadow = true;
+// Add many balls at once (pitch lists, sequences): one duration sync, replay and
+// 'ballsChanged' for the whole batch instead of one per ball.
+export function addBalls(pitches, keyOf, opts = {}) {
+  let added = 0;
+  for (const p of pitches) if (createBall(p, keyOf(p), opts)) added++;
+  if (added) ballsAdded();
+}
 
-  const FT_PER_S_TO_MPH = 0.681818;
+function ballsAdded() {
+  syncDuration();
+  replayAll(); // new balls fly from release together with the rest
+  Bus.emit('ballsChanged', balls.length);
+}
 
-  let mphDisplay;
-  if (typeof pitch.release_speed === 'number' && isFinite(pitch.release_speed)) {
-    mphDisplay = pitch.release_speed * FT_PER_S_TO_MPH;
-  } else if (typeof pitch.release_speed_mph === 'number' && isFinite(pitch.release_speed_mph)) {
-    mphDisplay = pitch.release_speed_mph;
-  } else {
-    const v3dFtPerS = Math.hypot(pitch.vx0 || 0, pitch.vy0 || 0, pitch.vz0 || 0);
-    mphDisplay = v3dFtPerS * FT_PER_S_TO_MPH;
-  }
+function createBall(pitch, pitchType, { owner = null, color = null } = {}) {
+  const { scene } = getRefs();
+  // loaders drop these already (schema.js); never fly a ball from the origin or as NaN
+  const issues = pitchIssues(pitch);
+  if (issues.length) { console.warn(`[balls] not adding ${pitchType}: ${issues.join(', ')}`); return false; }
+
+  const ball = new THREE.Mesh(BALL_GEOMETRY, createHalfColorMaterial(pitchType, color));
+  ball.castShadow = true;
+
+  const traj = buildTrajectory(pitch);
 
-  const t0 = clock.getElapsedTime();
   ball.userData = {
     type: pitchType,
-    t0,
-    mphDisplay,
-    release:  { x: -pitch.release_pos_x, y: pitch.release_pos_z, z: -pitch.release_extension },
-    velocity: { x: -pitch.vx0, y: pitch.vz0, z: pitch.vy0 },
-    accel:    { x: -pitch.ax,  y: pitch.az,  z: pitch.ay  },
-    spinRate: pitch.release_spin_rate || 0,
-    spinAxis: getSpinAxisVector(pitch.spin_axis || 0),
+    key: ballKey(pitchType, owner),
+    owner,
+    tint: color,
+    datum: pitch,
+    traj,
+    tEnd: traj.timeToScenePlate(),
+    t0: 0,          // launch time; only sequence mode staggers it
+    mphDisplay: releaseSpeedMph(pitch),
+    ...spinState(pitch, pitchType),
   };
 
-  ball.position.set(ball.userData.release.x, ball.userData.release.y, ball.userData.release.z);
+  const p = traj.scenePositionAt(0);
+  ball.position.set(p.x, p.y, p.z);
+  ball.quaternion.copy(ball.userData.orientation);
   balls.push(ball);
   scene.add(ball);
+  if (showSpinAxes) attachSpinArrows(ball);
+  return true;
 }
 
-export function removeBallByType(pitchType) {
+// Show (or update) the translucent design ghost; it re-flies in sync with every ball.
+export function setGhostBall(pitch, traj) {
   const { scene } = getRefs();
+  if (!ghost) {
+    const material = createHalfColorMaterial('ghost').clone(); // own copy; textures stay shared
+    material.transparent = true;
+    material.opacity = 0.45;
+    material.depthWrite = false;
+    ghost = new THREE.Mesh(BALL_GEOMETRY, material);
+    ghost.userData = { type: 'ghost', key: 'ghost', t0: 0 };
+    scene.add(ghost);
+  }
+  Object.assign(ghost.userData, {
+    datum: pitch,
+    traj,
+    tEnd: traj.timeToScenePlate(),
+    mphDisplay: releaseSpeedMph(pitch),
+    ...spinState(pitch, 'ghost'),
+  });
+  detachSpinArrows(ghost);
+  if (showSpinAxes) attachSpinArrows(ghost);
+  syncDuration();
+  replayAll();
+}
+
+export function clearGhostBall() {
+  if (!ghost) return;
+  disposeBall(ghost);
+  trail?.removeType('ghost');
+  ghost.material.dispose();
+  ghost = null;
+  syncDuration();
+}
+
+export function removeBallByType(pitchType, owner = null) {
+  const key = ballKey(pitchType, owner);
   balls = balls.filter(ball => {
-    if (ball.userData.type === pitchType) {
-      scene.remove(ball);
-      trailDots = trailDots.filter(d => {
-        const keep = d.mesh.userData?.type !== pitchType;
-        if (!keep) scene.remove(d.mesh);
-        return keep;
-      });
-      return false;
-    }
-    return true;
+    if (ball.userData.key !== key) return true;
+    disposeBall(ball);
+    return false;
   });
+  trail?.removeType(key);
+  syncDuration();
+  Bus.emit('ballsChanged', balls.length);
 }
 
+// Restart every ball from release together (keeps the trail toggle as-is).
 export function replayAll() {
-  const { clock } = getRefs();
-  const now = clock.getElapsedTime();
-
-  // wipe existing trail but keep toggle state
   clearTrails();
+  restart();
+}
+
+function flying() {
+  return ghost ? balls.concat(ghost) : balls;
+}
+
+// Sequence mode: balls are thrown one after another in the order they were added,
+// each `gap` seconds after the previous one reaches the plate. null releases all at once.
+export function setSequenceGap(gap) {
+  const g = Number(gap);
+  sequenceGap = gap === null || gap === undefined ? null : (Number.isFinite(g) ? Math.max(0, g) : 0);
+  syncDuration();
+  replayAll();
+}
+
+export function getSequenceGap() { return sequenceGap; }
+
+// hide every ball `seconds` after its release (and stop its trail there); null shows the whole flight
+export function setBallCutoff(seconds) {
+  const s = Number(seconds);
+  ballCutoff = seconds === null || seconds === undefined || !Number.isFinite(s) ? null : Math.max(0, s);
+}
+
+// quiz mode: stop the metrics telemetry and make pickBall find nothing
+export function setBallsBlind(on) {
+  blind = !!on;
+}
 
+// views that label or measure the balls (charts, release stats) show nothing while blind
+export function isBallsBlind() { return blind; }
+
+// playback runs until the slowest pitch (or the last of a sequence) reaches the plate
+function syncDuration() {
+  let next = 0;
   for (const b of balls) {
-    b.userData.t0 = now;
-    b.position.set(b.userData.release.x, b.userData.release.y, b.userData.release.z);
+    const u = b.userData;
+    u.t0 = sequenceGap === null ? 0 : next;
+    if (Number.isFinite(u.tEnd)) next = u.t0 + u.tEnd + sequenceGap;
   }
-  // leave showTrail as-is; new dots start accumulating if toggle is on
+  const ends = flying().map(b => b.userData.t0 + b.userData.tEnd).filter(Number.isFinite);
+  setDuration(ends.length ? Math.max(...ends) : NaN);
+}
+
+// trail brightness of a sequence pitch at t: full until the next pitch is thrown
+function trailFade(index, t) {
+  const next = balls[index + 1];
+  if (sequenceGap === null || !next) return 1;
+  return Math.min(1, Math.max(0, 1 - (t - next.userData.t0) / TRAIL_FADE_S));
 }
 
-export function animateBalls(delta) {
-  const { scene, renderer, camera, clock } = getRefs();
-  const now = clock.getElapsedTime();
+/**
+ * Pose every ball at playback time t (seconds since release). Positions, spin and trails
+ * are all functions of t, so scrubbing, stepping and slow motion stay consistent.
+ */
+export function animateBalls(t) {
+  const { scene, renderer, camera } = getRefs();
 
-  for (const ball of balls) {
-    const { t0, release, velocity, accel, spinRate, spinAxis } = ball.userData;
-    const t = now - t0;
-    const z = release.z + velocity.z * t + 0.5 * accel.z * t * t;
-    if (z <= -60.5) continue;
+  // scrubbing backwards (or looping) rebuilds the trail from release
+  if (t < trailT) { clearTrails(); }
 
-    ball.position.x = release.x + velocity.x * t + 0.5 * accel.x * t * t;
-    ball.position.y = release.y + velocity.y * t + 0.5 * accel.y * t * t;
-    ball.position.z = z;
+  flying().forEach((ball, i) => {
+    const { traj, tEnd, t0, spinRate, spinAxis, orientation } = ball.userData;
+    // a sequence pitch waits out of sight until its turn; a quiz pitch vanishes at the cutoff
+    const local = t - t0;
+    ball.visible = local >= 0 && (ballCutoff === null || local <= ballCutoff);
+    for (const a of ball.userData.arrows || []) a.visible = ball.visible;
+    if (!ball.visible) return;
+    const tc = Number.isFinite(tEnd) ? Math.min(local, tEnd) : 0;
+
+    const p = traj.scenePositionAt(tc);
+    ball.position.set(p.x, p.y, p.z);
+    updateSpinArrows(ball);
 
     if (showTrail) {
-      const baseType = (ball.userData.type || '').split(' ')[0];
-      const color = pitchColorMap[baseType] || 0x888888;
-      const dot = new THREE.Mesh(
-        new THREE.SphereGeometry(0.04, 8, 8),
-        new THREE.MeshBasicMaterial({ color })
-      );
-      dot.position.copy(ball.position);
-      dot.userData = { type: ball.userData.type };
-      scene.add(dot);
-      trailDots.push({ mesh: dot, t0: now });
+      const color = ballColor(ball.userData);
+      const prev = trailT - t0;
+      const kFrom = prev < 0 ? 0 : Math.floor(prev / TRAIL_DT + 1e-9) + 1;
+      for (let k = kFrom; k * TRAIL_DT <= tc; k++) {
+        getTrail().push(traj.scenePositionAt(k * TRAIL_DT), color, ball.userData.key);
+      }
+      const fade = trailFade(i, t);
+      if (fade !== ball.userData.fade) {
+        getTrail().fadeType(ball.userData.key, fade);
+        ball.userData.fade = fade;
+      }
     }
 
+    ball.quaternion.copy(orientation);
     if (spinRate > 0) {
       const radPerSec = (spinRate / 60) * 2 * Math.PI;
-      ball.rotateOnAxis(spinAxis.clone().normalize(), radPerSec * delta);
+      ball.rotateOnWorldAxis(spinAxis, radPerSec * tc);
     }
-  }
-
-  // Cull trail dots older than ~10s
-  trailDots = trailDots.filter(d => {
-    if (now - d.t0 > 9.5) { scene.remove(d.mesh); return false; }
-    return true;
   });
+  trailT = t;
 
-  // Telemetry to metrics panel (uses precomputed average mph)
-  const last = balls[balls.length - 1];
-  if (last) {
+  // Telemetry to metrics panel (uses precomputed average mph): the picked ball, else the newest
+  const last = (selectedKey && balls.find(b => b.userData.key === selectedKey)) || balls[balls.length - 1];
+  if (last && !blind) {
     Bus.emit('frameStats', {
       nBalls: balls.length,
+      key: last.userData.key,
       last: {
         mph: +last.userData.mphDisplay.toFixed(1),
         spin: Math.round(last.userData.spinRate || 0)
@@ -152,5 +415,13 @@ export function animateBalls(delta) {
   renderer.render(scene, camera);
 }
 
+// palette change: new materials, and trails redrawn in the new colours
+function recolorBalls() {
+  for (const ball of balls) ball.material = createHalfColorMaterial(ball.userData.type, ball.userData.tint);
+  clearTrails();
+  Bus.emit('ballsChanged', balls.length);
+}
+
 // Optional: also respond to a bus event if you emit it from the UI
 Bus.on?.('clearTrails', clearTrails);
+Bus.on?.('palette', recolorBalls);
@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { getRefs, CAMERA_PRESETS } from './scene.js';
+import { Bus } from './data.js';
+import { getBallsInfo } from './balls.js';
+import { registerUrlState, scheduleUrlWrite } from './urlstate.js';
+
+// Camera: orbit/zoom (pointer + touch), eased flights between views, views saved to
+// localStorage, and a follow mode that rides behind one pitch from release.
+
+const STORAGE_KEY = 'newpv.cameraViews';
+const FLY_MS = 700;
+const FOLLOW_OFFSET = new THREE.Vector3(0, 0.55, 3.5);   // behind (toward the mound) and above
+const FOLLOW_LOOK = new THREE.Vector3(0, -0.15, -4);     // just ahead of the ball
+
+let controls = null;
+let _flight = null;     // { from: {position, target}, to, elapsed }
+let _follow = null;     // ball key being followed
+let _els = null;
+let _followPending = false;
+
+const ease = (k) => (k < 0.5 ? 4 * k * k * k : 1 - Math.pow(-2 * k + 2, 3) / 2);
+const round3 = (v) => Math.round(v * 1000) / 1000;
+
+function loadCustom() {
+  try { return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}; } catch { return {}; }
+}
+
+function saveCustom(views) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(views)); } catch { /* private mode */ }
+}
+
+export function getPose() {
+  const { camera } = getRefs();
+  return { position: camera.position.toArray(), target: controls.target.toArray() };
+}
+
+function applyPose({ position, target }) {
+  const { camera } = getRefs();
+  camera.position.fromArray(position);
+  controls.target.fromArray(target);
+  camera.lookAt(controls.target);
+}
+
+/** Ease from the current pose to `pose` ({ position, target } arrays); ms = 0 snaps. */
+export function flyTo(pose, ms = FLY_MS) {
+  setFollow(null);
+  if (ms <= 0) { _flight = null; applyPose(pose); controls.update(); return; }
+  _flight = { from: getPose(), to: pose, elapsed: 0, ms };
+}
+
+// built-in preset name or a saved view's name
+export function goToView(name, ms = FLY_MS) {
+  const pose = CAMERA_PRESETS[name] || loadCustom()[name];
+  if (pose) flyTo(pose, ms);
+  return !!pose;
+}
+
+export function saveView(name) {
+  const views = loadCustom();
+  views[name] = getPose();
+  saveCustom(views);
+  fillViews();
+  _els.select.value = `custom:${name}`;
+}
+
+export function deleteView(name) {
+  const views = loadCustom();
+  delete views[name];
+  saveCustom(views);
+  fillViews();
+}
+
+// follow one ball (by scene key) from release; null returns to orbit
+export function setFollow(key) {
+  _follow = key || null;
+  controls.enabled = !_follow;
+  if (_els && _els.follow.value !== (_follow || '')) _els.follow.value = _follow || '';
+}
+
+/**
+ * Per frame: run an eased flight, follow a ball at playback time t, or let the orbit
+ * controls damp. Called before the balls are drawn (including by the video export).
+ */
+export function updateCamera(dt, t) {
+  const { camera } = getRefs();
+  if (_follow) {
+    const info = getBallsInfo().find(b => b.key === _follow);
+    if (!info) { setFollow(null); return; }
+    const tEnd = info.traj.timeToScenePlate();
+    const local = Math.max(0, t - (info.t0 || 0));   // sequence pitches launch late
+    const p = info.traj.scenePositionAt(Number.isFinite(tEnd) ? Math.min(local, tEnd) : 0);
+    const ball = new THREE.Vector3(p.x, p.y, p.z);
+    camera.position.copy(ball).add(FOLLOW_OFFSET);
+    controls.target.copy(ball).add(FOLLOW_LOOK);
+    camera.lookAt(controls.target);
+    return;
+  }
+  if (_flight) {
+    _flight.elapsed += dt * 1000;
+    const k = ease(Math.min(1, _flight.elapsed / _flight.ms));
+    const lerp = (a, b) => a.map((v, i) => v + (b[i] - v) * k);
+    applyPose({ position: lerp(_flight.from.position, _flight.to.position), target: lerp(_flight.from.target, _flight.to.target) });
+    if (k >= 1) _flight = null;
+    return;
+  }
+  controls.update();
+}
+
+function fillViews() {
+  const group = _els.custom;
+  group.innerHTML = '';
+  const names = Object.keys(loadCustom()).sort();
+  for (const name of names) {
+    const opt = document.createElement('option');
+    opt.value = `custom:${name}`; opt.textContent = name;
+    group.appendChild(opt);
+  }
+  group.hidden = !names.length;
+}
+
+// coalesced: pitch mode adds hundreds of balls in one go
+function fillFollow() {
+  _followPending = false;
+  const sel = _els.follow;
+  const keys = getBallsInfo().map(b => b.key);
+  sel.innerHTML = '';
+  for (const [value, label] of [['', 'Off'], ...keys.map(k => [k, k])]) {
+    const opt = document.createElement('option');
+    opt.value = value; opt.textContent = label;
+    sel.appendChild(opt);
+  }
+  sel.value = keys.includes(_follow) ? _follow : '';
+}
+
+export function initCamera() {
+  const { camera, renderer } = getRefs();
+  controls = new OrbitControls(camera, renderer.domElement);
+  controls.enableDamping = true;
+  controls.dampingFactor = 0.08;
+  controls.minDistance = 1;
+  controls.maxDistance = 160;
+  controls.maxPolarAngle = Math.PI * 0.495;   // stay above the turf
+  controls.target.fromArray(CAMERA_PRESETS.catcher.target);
+  controls.update();
+
+  _els = {
+    select: document.getElementById('cameraSelect'),
+    custom: document.getElementById('customViews'),
+    name: document.getElementById('viewName'),
+    save: document.getElementById('saveViewBtn'),
+    remove: document.getElementById('deleteViewBtn'),
+    follow: document.getElementById('followSelect')
+  };
+  fillViews();
+  fillFollow();
+
+  const viewName = (value) => (value.startsWith('custom:') ? value.slice(7) : value);
+  _els.select.addEventListener('change', () => {
+    goToView(viewName(_els.select.value));
+    _els.remove.disabled = !_els.select.value.startsWith('custom:');
+  });
+  _els.remove.disabled = true;
+
+  // dragging away from a view leaves the picker on "Free camera"
+  controls.addEventListener('start', () => { _flight = null; _els.select.value = 'free'; });
+  controls.addEventListener('end', scheduleUrlWrite);
+
+  _els.save.addEventListener('click', () => {
+    const name = _els.name.value.trim();
+    if (!name) { _els.name.focus(); return; }
+    saveView(name);
+    _els.name.value = '';
+    _els.remove.disabled = false;
+  });
+  _els.remove.addEventListener('click', () => {
+    if (!_els.select.value.startsWith('custom:')) return;
+    deleteView(viewName(_els.select.value));
+    _els.select.value = 'free';
+    _els.remove.disabled = true;
+  });
+
+  _els.follow.addEventListener('change', () => setFollow(_els.follow.value));
+  Bus.on('ballsChanged', () => {
+    if (_followPending) return;
+    _followPending = true;
+    requestAnimationFrame(fillFollow);
+  });
+
+  registerUrlState('view', {
+    order: 10,
+    get: () => _els.select.value,
+    set: (view) => {
+      if (view === 'free') { _els.select.value = 'free'; return null; }
+      if (![..._els.select.options].some(o => o.value === view)) return `Camera view "${viewName(view)}" isn't saved on this device.`;
+      _els.select.value = view;
+      goToView(viewName(view), 0);
+      return null;
+    }
+  });
+  registerUrlState('cam', {
+    order: 11,
+    get: () => {
+      const { position, target } = getPose();
+      return [...position, ...target].map(round3);
+    },
+    set: (pose) => {
+      if (!Array.isArray(pose) || pose.length !== 6 || !pose.every(Number.isFinite)) return 'Camera pose in the link is invalid.';
+      flyTo({ position: pose.slice(0, 3), target: pose.slice(3) }, 0);
+      return null;
+    }
+  });
+  registerUrlState('fol', {
+    order: 12,
+    get: () => _follow ?? undefined,
+    set: (key) => {
+      if (!getBallsInfo().some(b => b.key === key)) return `Followed pitch "${key}" isn't in the scene.`;
+      setFollow(key);
+      return null;
+    }
+  });
+}
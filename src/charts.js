@@ -0,0 +1,256 @@
+import { Bus, getPitchList, getZoneAverages } from './data.js';
+import { getBallsInfo, isBallsBlind } from './balls.js';
+import { pitchColor, cssHex, cssRgba } from './palette.js';
+import { plateLocationOf } from './trajectory.js';
+import { metricsFromDatum } from './metrics.js';
+import { getStrikeZone } from './strikezone.js';
+import { PLATE_HALF_WIDTH } from './zones.js';
+import { registerUrlState } from './urlstate.js';
+
+// 2D views linked to the scene: a catcher's-view plate-location heatmap per pitch type
+// and an IVB-vs-HB movement plot. Both ring whatever is checked in the 3D scene.
+
+const LOC_X = [-2.2, 2.2], LOC_Z = [0, 5.5];   // ft, catcher's view
+const MOVE_RANGE = 25;                          // ±in on both movement axes
+const HEAT_CELLS = 0.1;                         // ft per heatmap cell
+const KERNEL_FT = 0.3;                          // gaussian sigma
+
+let _on = false;
+let _pitcherData = null;
+let _heatType = 'all';
+let _pending = false;
+let _els = null;
+
+const baseType = (key) => String(key).split(' ')[0];
+
+// individual pitches when the dataset has them, otherwise the zone averages weighted by count
+function chartPoints(pitcherData) {
+  const list = getPitchList(pitcherData);
+  const src = list.length
+    ? list.map(d => ({ type: d.pitch_type, d, w: 1 }))
+    : Object.entries(getZoneAverages(pitcherData)).map(([key, d]) => ({ type: baseType(key), d, w: d.n || 1 }));
+  return src.map(({ type, d, w }) => {
+    const m = metricsFromDatum(d);
+    return { type, w, x: Number(d.plate_x), z: Number(d.plate_z), ivb: Number(m.ivb), hb: Number(m.hb) };
+  });
+}
+
+// no rings for the quiz ball: its IVB/HB would give the pitch away
+function checkedPoints() {
+  if (isBallsBlind()) return [];
+  return getBallsInfo().map(({ color, datum, traj }) => {
+    const loc = plateLocationOf(traj);
+    const m = metricsFromDatum(datum);
+    return { color, x: loc.plate_x, z: loc.plate_z, ivb: Number(m.ivb), hb: Number(m.hb) };
+  });
+}
+
+function prepCanvas(canvas) {
+  const dpr = Math.min(window.devicePixelRatio || 1, 2);
+  const w = canvas.clientWidth, h = canvas.clientHeight;
+  if (canvas.width !== w * dpr || canvas.height !== h * dpr) { canvas.width = w * dpr; canvas.height = h * dpr; }
+  const g = canvas.getContext('2d');
+  g.setTransform(dpr, 0, 0, dpr, 0, 0);
+  g.clearRect(0, 0, w, h);
+  return { g, w, h };
+}
+
+function ring(g, x, y, r, color) {
+  g.beginPath(); g.arc(x, y, r, 0, Math.PI * 2);
+  g.lineWidth = 2; g.strokeStyle = '#fff'; g.stroke();
+  g.lineWidth = 1; g.strokeStyle = color; g.stroke();
+}
+
+// blue → yellow → red ramp on normalised density
+function heatColor(v) {
+  const stops = [[0, 40, 90, 200], [0.45, 60, 170, 255], [0.7, 255, 214, 10], [1, 255, 59, 48]];
+  let i = 1;
+  while (i < stops.length - 1 && v > stops[i][0]) i++;
+  const [p0, r0, g0, b0] = stops[i - 1], [p1, r1, g1, b1] = stops[i];
+  const f = Math.min(1, Math.max(0, (v - p0) / (p1 - p0)));
+  return [r0 + (r1 - r0) * f, g0 + (g1 - g0) * f, b0 + (b1 - b0) * f];
+}
+
+function drawHeatmap(canvas, points, checked) {
+  const { g, w, h } = prepCanvas(canvas);
+  const sx = (x) => ((x - LOC_X[0]) / (LOC_X[1] - LOC_X[0])) * w;
+  const sz = (z) => h - ((z - LOC_Z[0]) / (LOC_Z[1] - LOC_Z[0])) * h;
+
+  const pts = points.filter(p => (_heatType === 'all' || p.type === _heatType) && Number.isFinite(p.x) && Number.isFinite(p.z));
+  const nx = Math.round((LOC_X[1] - LOC_X[0]) / HEAT_CELLS), nz = Math.round((LOC_Z[1] - LOC_Z[0]) / HEAT_CELLS);
+  const density = new Float32Array(nx * nz);
+  const reach = Math.ceil((3 * KERNEL_FT) / HEAT_CELLS);
+  for (const p of pts) {
+    const ci = Math.floor((p.x - LOC_X[0]) / HEAT_CELLS), cj = Math.floor((p.z - LOC_Z[0]) / HEAT_CELLS);
+    for (let j = Math.max(0, cj - reach); j < Math.min(nz, cj + reach + 1); j++) {
+      for (let i = Math.max(0, ci - reach); i < Math.min(nx, ci + reach + 1); i++) {
+        const dx = LOC_X[0] + (i + 0.5) * HEAT_CELLS - p.x, dz = LOC_Z[0] + (j + 0.5) * HEAT_CELLS - p.z;
+        density[j * nx + i] += p.w * Math.exp(-(dx * dx + dz * dz) / (2 * KERNEL_FT * KERNEL_FT));
+      }
+    }
+  }
+  const max = density.reduce((m, v) => Math.max(m, v), 0);
+  if (max > 0) {
+    const img = new ImageData(nx, nz);
+    for (let j = 0; j < nz; j++) {
+      for (let i = 0; i < nx; i++) {
+        const v = density[j * nx + i] / max;
+        if (v < 0.04) continue;
+        const [r, gg, b] = heatColor(v);
+        const o = ((nz - 1 - j) * nx + i) * 4;           // row 0 is the top of the image
+        img.data[o] = r; img.data[o + 1] = gg; img.data[o + 2] = b; img.data[o + 3] = 60 + 170 * v;
+      }
+    }
+    const off = document.createElement('canvas');
+    off.width = nx; off.height = nz;
+    off.getContext('2d').putImageData(img, 0, 0);
+    g.imageSmoothingEnabled = true;
+    g.drawImage(off, 0, 0, w, h);
+  }
+
+  // strike zone + 3×3 grid
+  const { top, bot } = getStrikeZone();
+  const hw = PLATE_HALF_WIDTH;
+  g.strokeStyle = 'rgba(242,242,242,0.9)'; g.lineWidth = 1.5;
+  g.strokeRect(sx(-hw), sz(top), sx(hw) - sx(-hw), sz(bot) - sz(top));
+  g.strokeStyle = 'rgba(242,242,242,0.35)'; g.lineWidth = 1;
+  g.beginPath();
+  for (let i = 1; i < 3; i++) {
+    const x = sx(-hw + (2 * hw * i) / 3), z = sz(bot + ((top - bot) * i) / 3);
+    g.moveTo(x, sz(top)); g.lineTo(x, sz(bot));
+    g.moveTo(sx(-hw), z); g.lineTo(sx(hw), z);
+  }
+  g.stroke();
+
+  for (const c of checked) {
+    if (Number.isFinite(c.x) && Number.isFinite(c.z)) ring(g, sx(c.x), sz(c.z), 5, cssHex(c.color));
+  }
+
+  g.fillStyle = 'rgba(255,255,255,0.55)'; g.font = '11px system-ui, sans-serif';
+  g.fillText(pts.length ? `${pts.reduce((n, p) => n + p.w, 0)} pitches` : 'No locations', 8, 16);
+}
+
+function drawMovement(canvas, points, checked) {
+  const { g, w, h } = prepCanvas(canvas);
+  const sx = (hb) => w / 2 + (hb / MOVE_RANGE) * (w / 2 - 8);
+  const sy = (ivb) => h / 2 - (ivb / MOVE_RANGE) * (h / 2 - 8);
+
+  g.strokeStyle = 'rgba(255,255,255,0.08)'; g.lineWidth = 1;
+  g.beginPath();
+  for (let v = -20; v <= 20; v += 5) {
+    g.moveTo(sx(v), 0); g.lineTo(sx(v), h);
+    g.moveTo(0, sy(v)); g.lineTo(w, sy(v));
+  }
+  g.stroke();
+  g.strokeStyle = 'rgba(255,255,255,0.3)';
+  g.beginPath(); g.moveTo(sx(0), 0); g.lineTo(sx(0), h); g.moveTo(0, sy(0)); g.lineTo(w, sy(0)); g.stroke();
+
+  const byType = new Map();
+  for (const p of points) {
+    if (!Number.isFinite(p.ivb) || !Number.isFinite(p.hb)) continue;
+    g.fillStyle = cssRgba(pitchColor(p.type), 0.45);
+    g.beginPath(); g.arc(sx(p.hb), sy(p.ivb), 2.5, 0, Math.PI * 2); g.fill();
+    const t = byType.get(p.type) || { ivb: 0, hb: 0, w: 0 };
+    t.ivb += p.ivb * p.w; t.hb += p.hb * p.w; t.w += p.w;
+    byType.set(p.type, t);
+  }
+
+  // per-type means with labels
+  g.font = 'bold 11px system-ui, sans-serif';
+  for (const [type, t] of byType) {
+    const x = sx(t.hb / t.w), y = sy(t.ivb / t.w);
+    g.fillStyle = cssHex(pitchColor(type));
+    g.beginPath(); g.arc(x, y, 5, 0, Math.PI * 2); g.fill();
+    g.fillStyle = '#fff'; g.fillText(type, x + 7, y - 6);
+  }
+
+  for (const c of checked) {
+    if (Number.isFinite(c.ivb) && Number.isFinite(c.hb)) ring(g, sx(c.hb), sy(c.ivb), 6, cssHex(c.color));
+  }
+
+  g.fillStyle = 'rgba(255,255,255,0.55)'; g.font = '10px system-ui, sans-serif';
+  g.fillText('IVB in', sx(0) + 4, 12);
+  g.fillText('HB in', w - 34, sy(0) - 4);
+}
+
+function redraw() {
+  _pending = false;
+  if (!_on || !_els) return;
+  const points = _pitcherData ? chartPoints(_pitcherData) : [];
+  const checked = checkedPoints();
+  drawHeatmap(_els.heat, points, checked);
+  drawMovement(_els.move, points, checked);
+}
+
+function schedule() {
+  if (_pending) return;
+  _pending = true;
+  requestAnimationFrame(redraw);
+}
+
+function fillTypes(select, pitcherData) {
+  const types = new Set();
+  for (const p of getPitchList(pitcherData)) if (p.pitch_type) types.add(p.pitch_type);
+  for (const key of Object.keys(getZoneAverages(pitcherData))) types.add(baseType(key));
+  select.innerHTML = '';
+  for (const t of ['all', ...[...types].sort()]) {
+    const opt = document.createElement('option');
+    opt.value = t; opt.textContent = t === 'all' ? 'All types' : t;
+    select.appendChild(opt);
+  }
+  if (!types.has(_heatType)) _heatType = 'all';
+  select.value = _heatType;
+}
+
+function buildChartsPanel(panel) {
+  panel.innerHTML = `
+    <div class="chart">
+      <div class="chart-head"><span>Plate location</span><select id="heatType"></select></div>
+      <canvas id="heatCanvas"></canvas>
+    </div>
+    <div class="chart">
+      <div class="chart-head"><span>Movement</span></div>
+      <canvas id="moveCanvas"></canvas>
+    </div>
+  `;
+  return {
+    heat: panel.querySelector('#heatCanvas'),
+    move: panel.querySelector('#moveCanvas'),
+    type: panel.querySelector('#heatType')
+  };
+}
+
+export function setChartsVisible(on) {
+  _on = !!on;
+  const panel = document.getElementById('chartsPanel');
+  if (panel) panel.hidden = !_on;
+  schedule();
+}
+
+export function initCharts() {
+  const panel = document.getElementById('chartsPanel');
+  const toggle = document.getElementById('chartsToggle');
+  _els = buildChartsPanel(panel);
+
+  toggle.addEventListener('change', () => setChartsVisible(toggle.checked));
+  _els.type.addEventListener('change', () => { _heatType = _els.type.value; schedule(); });
+
+  Bus.on('pitcherData', ({ data }) => {
+    _pitcherData = data;
+    fillTypes(_els.type, data);
+    schedule();
+  });
+  Bus.on('ballsChanged', () => { if (_on) schedule(); });
+  Bus.on('palette', () => { if (_on) schedule(); });
+  Bus.on('flightModel', () => { if (_on) schedule(); });
+  Bus.on('strikeZone', () => { if (_on) schedule(); });
+
+  registerUrlState('charts', {
+    get: () => (_on ? { h: _heatType } : undefined),
+    set: ({ h }) => {
+      toggle.checked = true;
+      setChartsVisible(true);
+      if ([..._els.type.options].some(o => o.value === h)) { _heatType = h; _els.type.value = h; }
+    }
+  });
+}
@@ -0,0 +1,140 @@
+import { Bus, getPitchList, getZoneAverages } from './data.js';
+import { clearBalls } from './balls.js';
+import { metricsFromDatum } from './metrics.js';
+import { cssHex } from './palette.js';
+
+// Compare mode: several pitchers share the scene. Each gets a tint for its balls and
+// trails, and the metrics panel shows velo/spin/IVB/HB per pitch type side by side.
+
+export const COMPARE_COLORS = [0xff9f0a, 0x64d2ff, 0x30d158, 0xbf5af2, 0xff375f, 0xffd60a];
+
+let _on = false;
+let _entries = [];      // [{ key, team, pitcher, color, data }]
+let _current = null;    // key of the pitcher the checkbox grid is editing
+
+export function isComparing() { return _on; }
+
+// names are only unique within a team; the key is also the owner of the pitcher's balls
+export const compareKey = (team, pitcher) => `${team} · ${pitcher}`;
+
+export function getCompareEntries() {
+  return _entries.map(({ key, team, pitcher, color }) => ({ key, team, pitcher, color }));
+}
+
+// addBall options for the given pitcher ({} outside compare mode)
+export function compareBallOpts(team, pitcher) {
+  const e = _on && _entries.find(x => x.key === compareKey(team, pitcher));
+  return e ? { owner: e.key, color: e.color } : {};
+}
+
+/**
+ * Per pitch type means for one pitcher's data: individual pitches when present,
+ * otherwise zone averages weighted by their pitch counts.
+ */
+export function pitchTypeSummary(pitcherData) {
+  const list = getPitchList(pitcherData);
+  const src = list.length
+    ? list.map(d => ({ type: d.pitch_type, d, w: 1 }))
+    : Object.entries(getZoneAverages(pitcherData)).map(([key, d]) => ({ type: key.split(' ')[0], d, w: d.n || 1 }));
+
+  const acc = {};
+  for (const { type, d, w } of src) {
+    if (!type) continue;
+    const m = metricsFromDatum(d);
+    const a = (acc[type] ||= { n: 0 });
+    a.n += w;
+    for (const k of ['mph', 'spin', 'ivb', 'hb']) {
+      const v = Number(m[k]);
+      if (!Number.isFinite(v)) continue;
+      a[k] = (a[k] || 0) + v * w;
+      a[`${k}W`] = (a[`${k}W`] || 0) + w;
+    }
+  }
+  const out = {};
+  for (const [type, a] of Object.entries(acc)) {
+    out[type] = { n: a.n };
+    for (const k of ['mph', 'spin', 'ivb', 'hb']) out[type][k] = a[`${k}W`] ? a[k] / a[`${k}W`] : undefined;
+  }
+  return out;
+}
+
+function emitStats() {
+  if (!_on || !_entries.length) { Bus.emit('compareStats', null); return; }
+  const summaries = _entries.map(e => ({ e, s: pitchTypeSummary(e.data) }));
+  const types = [...new Set(summaries.flatMap(({ s }) => Object.keys(s)))].sort();
+  const rows = [];
+  for (const type of types) {
+    for (const { e, s } of summaries) {
+      if (s[type]) rows.push({ type, pitcher: e.pitcher, color: e.color, ...s[type] });
+    }
+  }
+  Bus.emit('compareStats', { entries: getCompareEntries(), rows });
+}
+
+function renderChips() {
+  const list = document.getElementById('compareList');
+  if (!list) return;
+  list.innerHTML = '';
+  for (const e of _entries) {
+    const chip = document.createElement('span');
+    chip.className = 'chip';
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.background = cssHex(e.color);
+    const name = document.createElement('span');
+    name.textContent = e.key === _current ? `${e.pitcher} (editing)` : e.pitcher;
+    chip.title = e.team;
+    chip.append(swatch, name);
+    if (e.key !== _current) {
+      const x = document.createElement('button');
+      x.className = 'chip-x'; x.textContent = '×'; x.title = 'Remove from comparison';
+      x.addEventListener('click', () => removeComparePitcher(e.key));
+      chip.appendChild(x);
+    }
+    list.appendChild(chip);
+  }
+}
+
+// Make `pitcher` the one being edited, adding it to the comparison if it's new.
+export function addComparePitcher(team, pitcher, data) {
+  if (!_on || !pitcher) return null;
+  const key = compareKey(team, pitcher);
+  _current = key;
+  let e = _entries.find(x => x.key === key);
+  if (!e) {
+    const used = new Set(_entries.map(x => x.color));
+    const color = COMPARE_COLORS.find(c => !used.has(c)) ?? COMPARE_COLORS[_entries.length % COMPARE_COLORS.length];
+    e = { key, team, pitcher, color, data };
+    _entries.push(e);
+  }
+  e.data = data;   // the matchup split may have changed since it was added
+  renderChips();
+  emitStats();
+  return e;
+}
+
+/** Swap in dataOf(entry) for every pitcher, e.g. after the matchup split changes. */
+export function refreshCompareData(dataOf) {
+  for (const e of _entries) e.data = dataOf(e);
+  emitStats();
+}
+
+export function removeComparePitcher(key) {
+  if (key === _current) return;
+  _entries = _entries.filter(e => e.key !== key);
+  clearBalls(key);
+  renderChips();
+  emitStats();
+}
+
+// switching either way starts from an empty scene
+export function setCompareEnabled(on) {
+  _on = !!on;
+  _entries = [];
+  _current = null;
+  clearBalls();
+  const row = document.getElementById('compareRow');
+  if (row) row.hidden = !_on;
+  renderChips();
+  emitStats();
+}
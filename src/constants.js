@@ -1,6 +0,0 @@
-export const pitchColorMap = {
-  FF: 0xff0000, SL: 0x0000ff, CH: 0x008000, KC: 0x4B0082,
-  SI: 0xFFA500, CU: 0x800080, FC: 0x808080, ST: 0x008080,
-  FS: 0x00CED1, EP: 0xFF69B4, KN: 0xA9A9A9, SC: 0x708090,
-  SV: 0x000000, CS: 0xA52A2A, FO: 0xDAA520
-};
@@ -1,6 +1,52 @@
-export async function loadPitchData() {
-  const res = await fetch('./pitch_data.json');
-  return await res.json();
+import { validatePitchData } from './schema.js';
+import { filterPitches } from './filters.js';
+
+// optional top-level { "_meta": { "version": "…", "generated": "…" } } in pitch_data.json
+export const DATASET_META_KEY = '_meta';
+
+// FNV-1a over the file text: a stable short id for datasets that carry no version
+function contentHash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Fetch and validate the bundled dataset. Throws a readable Error when the file can't be
+ * fetched or parsed; pitches with bad kinematics are dropped and reported on 'dataProblems'.
+ * Emits 'dataset' with the version being viewed (cachedAt is set when the service
+ * worker answered from its offline copy).
+ */
+export async function loadPitchData(url = './pitch_data.json') {
+  const name = url.replace(/^.*\//, '');
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (err) {
+    throw new Error(`could not reach ${name} (${err.message})`);
+  }
+  if (!res.ok) throw new Error(`${name}: HTTP ${res.status}${res.statusText ? ` ${res.statusText}` : ''}`);
+  const text = await res.text();
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${name} is not valid JSON`);
+  }
+  const meta = raw?.[DATASET_META_KEY] || {};
+  Bus.emit('dataset', {
+    source: name,
+    version: meta.version ?? contentHash(text),
+    updated: meta.generated ?? res.headers.get('Last-Modified'),
+    cachedAt: res.headers.get('X-Cached-At')
+  });
+  return checked(raw, name);
+}
+
+function checked(raw, source) {
+  const { data, problems, total } = validatePitchData(raw);
+  Bus.emit('dataProblems', { source, problems, total });
+  return data;
 }
 
 // --- very small event bus ---
@@ -9,3 +55,209 @@ export const Bus = {
   on(evt, fn) { (this._h[evt] ||= []).push(fn); },
   emit(evt, payload) { (this._h[evt]||[]).forEach(f => f(payload)); }
 };
+
+// ---------- pitcher data shape ----------
+// data[team][pitcher] holds "TYPE zone" averages and, optionally, the individual pitches
+// under PITCH_LIST_KEY (one record per pitch with date, count, batter and outcome).
+export const PITCH_LIST_KEY = 'pitches';
+
+export function getPitchList(pitcherData) {
+  const list = pitcherData?.[PITCH_LIST_KEY];
+  return Array.isArray(list) ? list : [];
+}
+
+export function getZoneAverages(pitcherData) {
+  const out = {};
+  for (const key in pitcherData || {}) {
+    if (key !== PITCH_LIST_KEY) out[key] = pitcherData[key];
+  }
+  return out;
+}
+
+// ---------- Baseball Savant CSV ----------
+const NULL_TOKENS = new Set(['', 'null', 'NULL', 'NA', 'NaN', 'nan', 'undefined']);
+
+function coerceCell(raw) {
+  if (NULL_TOKENS.has(raw)) return null;
+  const n = Number(raw);
+  return raw.trim() !== '' && Number.isFinite(n) ? n : raw;
+}
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF/LF, trailing newline
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  const [header = [], ...body] = rows;
+  const keys = header.map(h => h.trim());
+  return body.map(cells => {
+    const o = {};
+    keys.forEach((k, i) => { o[k] = coerceCell(cells[i] ?? ''); });
+    return o;
+  });
+}
+
+// kinematic + release fields averaged per "TYPE zone"
+const AVG_FIELDS = [
+  'release_pos_x', 'release_pos_z', 'release_extension',
+  'vx0', 'vy0', 'vz0', 'ax', 'ay', 'az',
+  'release_spin_rate', 'effective_speed', 'plate_x', 'plate_z', 'sz_top', 'sz_bot'
+];
+
+function mean(rows, key) {
+  let sum = 0, n = 0;
+  for (const r of rows) if (typeof r[key] === 'number') { sum += r[key]; n++; }
+  return n ? sum / n : null;
+}
+
+// spin_axis wraps at 360, so average it as an angle
+function circularMeanDeg(rows, key) {
+  let s = 0, c = 0, n = 0;
+  for (const r of rows) {
+    if (typeof r[key] !== 'number') continue;
+    const a = r[key] * Math.PI / 180;
+    s += Math.sin(a); c += Math.cos(a); n++;
+  }
+  return n ? ((Math.atan2(s, c) * 180 / Math.PI) + 360) % 360 : null;
+}
+
+function mostCommon(rows, key) {
+  const counts = {};
+  for (const r of rows) if (r[key] != null) counts[r[key]] = (counts[r[key]] || 0) + 1;
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] ?? null;
+}
+
+// Average a group of raw Statcast rows into one datum in the pitch_data.json shape.
+export function averagePitchRows(rows) {
+  const d = { n: rows.length };
+  for (const k of AVG_FIELDS) d[k] = mean(rows, k);
+  d.spin_axis = circularMeanDeg(rows, 'spin_axis');
+  const mph = mean(rows, 'release_speed');   // Savant release_speed is mph
+  d.mph = mph;
+  d.release_speed_mph = mph;
+  const pfxX = mean(rows, 'pfx_x'), pfxZ = mean(rows, 'pfx_z');  // ft
+  d.ivb_in = pfxZ === null ? null : pfxZ * 12;
+  d.hb_in  = pfxX === null ? null : pfxX * 12;
+  d.p_throws = mostCommon(rows, 'p_throws');
+  return d;
+}
+
+// Same as averagePitchRows, for individual pitch records (mph and breaks already converted).
+export function averagePitchRecords(records) {
+  const d = { n: records.length };
+  for (const k of AVG_FIELDS) d[k] = mean(records, k);
+  d.spin_axis = circularMeanDeg(records, 'spin_axis');
+  d.mph = mean(records, 'mph');
+  d.release_speed_mph = d.mph;
+  d.ivb_in = mean(records, 'ivb_in');
+  d.hb_in = mean(records, 'hb_in');
+  d.p_throws = mostCommon(records, 'p_throws');
+  return d;
+}
+
+// One Savant row -> one individual pitch record (same field names as the averages).
+const RECORD_FIELDS = [
+  ...AVG_FIELDS, 'spin_axis', 'pitch_type', 'pitch_name', 'zone', 'p_throws', 'stand',
+  'balls', 'strikes', 'outs_when_up', 'inning', 'game_date', 'game_pk', 'at_bat_number', 'pitch_number',
+  'batter', 'batter_name', 'description', 'events', 'des', 'type'
+];
+
+export function toPitchRecord(r, id) {
+  const p = { id };
+  for (const k of RECORD_FIELDS) if (r[k] !== undefined && r[k] !== null) p[k] = r[k];
+  if (typeof r.release_speed === 'number') { p.mph = r.release_speed; p.release_speed_mph = r.release_speed; }
+  if (typeof r.pfx_z === 'number') p.ivb_in = r.pfx_z * 12;
+  if (typeof r.pfx_x === 'number') p.hb_in = r.pfx_x * 12;
+  return p;
+}
+
+// The pitching team is the home team in the top of an inning.
+export function pitchingTeam(r) {
+  if (r.inning_topbot === 'Top' && r.home_team) return r.home_team;
+  if (r.inning_topbot === 'Bot' && r.away_team) return r.away_team;
+  return r.team || r.pitcher_team || 'Unknown';
+}
+
+/**
+ * Raw Savant rows -> { team: { pitcher: { "TYPE zone": datum, pitches: [record] } } }
+ * Individual pitches are kept in game order.
+ */
+export function buildPitchDataFromRows(rows) {
+  const groups = {};
+  rows.forEach((r, i) => {
+    const type = r.pitch_type;
+    const zone = r.zone;
+    if (!type || typeof zone !== 'number') return;
+    const team = pitchingTeam(r);
+    const pitcher = String(r.player_name ?? r.pitcher ?? 'Unknown');
+    const key = `${type} ${zone}`;
+    const g = ((groups[team] ||= {})[pitcher] ||= { zones: {}, list: [] });
+    (g.zones[key] ||= []).push(r);
+    g.list.push(toPitchRecord(r, i));
+  });
+
+  const byGameOrder = (a, b) =>
+    String(a.game_date).localeCompare(String(b.game_date)) ||
+    (a.game_pk ?? 0) - (b.game_pk ?? 0) ||
+    (a.at_bat_number ?? 0) - (b.at_bat_number ?? 0) ||
+    (a.pitch_number ?? 0) - (b.pitch_number ?? 0);
+
+  const out = {};
+  for (const team of Object.keys(groups).sort()) {
+    out[team] = {};
+    for (const pitcher of Object.keys(groups[team]).sort()) {
+      const g = groups[team][pitcher];
+      const pd = (out[team][pitcher] = {});
+      for (const [key, list] of Object.entries(g.zones)) pd[key] = averagePitchRows(list);
+      pd[PITCH_LIST_KEY] = g.list.sort(byGameOrder);
+    }
+  }
+  return out;
+}
+
+/**
+ * A pitcher's data restricted to a matchup split { stand, countGroup } (filters.js
+ * values; 'all' = any): the individual pitches that match, re-averaged per "TYPE zone".
+ * Datasets without individual pitches can't be split and come back unchanged.
+ */
+export function splitPitcherData(pitcherData, split) {
+  const list = getPitchList(pitcherData);
+  const active = split && ((split.stand && split.stand !== 'all') || (split.countGroup && split.countGroup !== 'all'));
+  if (!active || !list.length) return pitcherData;
+
+  const pitches = filterPitches(list, { stand: split.stand, countGroup: split.countGroup });
+  const groups = {};
+  for (const p of pitches) {
+    if (!p.pitch_type || typeof p.zone !== 'number') continue;
+    (groups[`${p.pitch_type} ${p.zone}`] ||= []).push(p);
+  }
+  const out = {};
+  for (const [key, records] of Object.entries(groups)) out[key] = averagePitchRecords(records);
+  out[PITCH_LIST_KEY] = pitches;
+  return out;
+}
+
+export async function loadSavantCsv(file) {
+  const text = await file.text();
+  const rows = parseCsv(text);
+  Bus.emit('dataset', { source: file.name, version: contentHash(text), updated: new Date(file.lastModified).toUTCString(), cachedAt: null });
+  return { rows, data: checked(buildPitchDataFromRows(rows), file.name) };
+}
@@ -0,0 +1,92 @@
+import { Bus } from './data.js';
+
+// Dataset status: a loading / failed-to-load overlay over the canvas, which dataset version
+// is on screen (and whether it is the offline copy), and a panel listing the pitches that
+// failed validation (schema.js) and were left out of the scene.
+
+const MAX_ROWS = 200;   // enough to spot the pattern without building a huge list
+
+let _overlay = null;
+let _panel = null;
+let _info = null;
+let _dataset = null;
+
+/** state: 'loading' | 'ready' | 'failed' (message says why). */
+export function setLoadState(state, message = '') {
+  _overlay.hidden = state === 'ready';
+  _overlay.dataset.state = state;
+  const text = _overlay.querySelector('.load-text');
+  const retry = _overlay.querySelector('.load-retry');
+  retry.hidden = state !== 'failed';
+  text.textContent = state === 'failed'
+    ? `Couldn't load pitch data: ${message}. Retry, or drop a Baseball Savant CSV anywhere.`
+    : 'Loading pitch data…';
+}
+
+function shortDate(text) {
+  const d = new Date(text);
+  return Number.isNaN(d.getTime()) ? String(text) : d.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function renderDataset() {
+  if (!_info || !_dataset) return;
+  const { source, version, updated, cachedAt } = _dataset;
+  const parts = [`${source} · ${version}`];
+  if (updated) parts.push(`updated ${shortDate(updated)}`);
+  if (cachedAt) parts.push(`offline copy from ${shortDate(cachedAt)}`);
+  else if (!navigator.onLine) parts.push('offline');
+  _info.textContent = `Data: ${parts.join(' · ')}`;
+  _info.classList.toggle('offline', !!cachedAt || !navigator.onLine);
+  _info.title = cachedAt ? 'No network: showing the last dataset this device downloaded' : '';
+}
+
+function renderProblems({ source, problems, total }) {
+  if (!problems.length) { _panel.hidden = true; return; }
+  const body = _panel.querySelector('.problems-body');
+  const bad = problems.filter(p => p.key !== null).length;
+  _panel.classList.remove('open');
+  _panel.querySelector('.problems-summary').textContent =
+    `${source}: ${bad.toLocaleString()} of ${total.toLocaleString()} pitches left out` +
+    (problems.length > bad ? `, ${problems.length - bad} malformed entries` : '');
+
+  body.innerHTML = '';
+  for (const p of problems.slice(0, MAX_ROWS)) {
+    const row = document.createElement('div');
+    row.className = 'problem-row';
+    const where = document.createElement('b');
+    where.textContent = [p.team, p.pitcher, p.key].filter(v => v !== null && v !== undefined).join(' · ');
+    const what = document.createElement('span');
+    what.textContent = p.issues.join(', ');
+    row.append(where, what);
+    body.appendChild(row);
+  }
+  if (problems.length > MAX_ROWS) {
+    const more = document.createElement('div');
+    more.className = 'status-line';
+    more.textContent = `…and ${(problems.length - MAX_ROWS).toLocaleString()} more (see the console)`;
+    body.appendChild(more);
+  }
+  console.warn(`[data] ${source}: pitches excluded`, problems);
+  _panel.hidden = false;
+}
+
+export function initDataStatus() {
+  _overlay = document.getElementById('loadOverlay');
+  _panel = document.getElementById('dataProblems');
+  _info = document.getElementById('datasetInfo');
+  _overlay.querySelector('.load-retry').addEventListener('click', () => location.reload());
+  _panel.querySelector('.problems-close').addEventListener('click', () => { _panel.hidden = true; });
+  _panel.querySelector('.problems-summary').addEventListener('click', () => _panel.classList.toggle('open'));
+
+  Bus.on('dataset', (d) => { _dataset = d; renderDataset(); });
+  window.addEventListener('online', renderDataset);
+  window.addEventListener('offline', renderDataset);
+
+  // any dataset that made it through validation (including a dropped CSV) replaces a failure
+  Bus.on('dataProblems', (report) => {
+    const bad = report.problems.filter(p => p.key !== null).length;
+    if (report.total > bad) setLoadState('ready');
+    else if (_overlay.dataset.state !== 'ready') setLoadState('failed', `no usable pitches in ${report.source}`);
+    renderProblems(report);
+  });
+}
@@ -0,0 +1,154 @@
+import { Bus } from './data.js';
+import { setGhostBall, clearGhostBall, getFlightModel } from './balls.js';
+import { createTrajectory, releaseSpeedMph, movementOf, offsetTrajectory } from './trajectory.js';
+import { createPhysicsTrajectory, spinEfficiency, axisToClock, clockToAxis } from './physics.js';
+
+// Pitch-design sandbox: clone the selected datum, edit it with sliders and fly the result
+// as a ghost next to the original. Edits are applied through the physics model, so spin
+// changes move the path even when playback uses the Statcast fit.
+
+let _enabled = false;
+let _orig = null;   // datum the design started from
+let _edit = null;   // current slider values
+const _inputs = {};
+
+const FIELDS = [
+  { id: 'velo', label: 'Velo',           unit: 'mph', step: 0.5,  span: 12 },
+  { id: 'spin', label: 'Spin',           unit: 'rpm', step: 25,   min: 800, max: 3600 },
+  { id: 'axis', label: 'Spin Axis',      unit: '°',   step: 5,    min: 0,   max: 360 },
+  { id: 'relZ', label: 'Release Height', unit: 'ft',  step: 0.05, min: 3,   max: 7.5 },
+  { id: 'relX', label: 'Release Side',   unit: 'ft',  step: 0.05, min: -4,  max: 4 },
+  { id: 'ext',  label: 'Extension',      unit: 'ft',  step: 0.05, min: 4,   max: 8 },
+];
+
+function valuesFromDatum(d) {
+  return {
+    velo: releaseSpeedMph(d),
+    spin: Number(d.release_spin_rate) || 0,
+    axis: Number(d.spin_axis) || 0,
+    relZ: Number(d.release_pos_z),
+    relX: Number(d.release_pos_x),
+    ext:  Number(d.release_extension)
+  };
+}
+
+// New datum with the edits applied; velocity keeps its direction and is rescaled to the new speed.
+export function applyDesignEdits(d, v) {
+  const scale = v.velo / releaseSpeedMph(d);
+  const out = {
+    ...d,
+    vx0: d.vx0 * scale, vy0: d.vy0 * scale, vz0: d.vz0 * scale,
+    release_speed_mph: v.velo,
+    release_spin_rate: v.spin,
+    spin_axis: v.axis,
+    release_pos_z: v.relZ,
+    release_pos_x: v.relX,
+    release_extension: v.ext
+  };
+  delete out.release_speed;
+  return out;
+}
+
+function refly() {
+  if (!_enabled || !_orig) return;
+  const { model, env } = getFlightModel();
+  // keep the original's active-spin fraction so rpm edits are not re-absorbed into it
+  const efficiency = spinEfficiency(_orig, env);
+  const edited = applyDesignEdits(_orig, _edit);
+  const from = createPhysicsTrajectory(_orig, { env, efficiency });
+  const to   = createPhysicsTrajectory(edited, { env, efficiency });
+  const base = model === 'physics' ? from : createTrajectory(_orig);
+  setGhostBall(edited, offsetTrajectory(base, from, to));
+
+  const m0 = movementOf(from), m1 = movementOf(to);
+  Bus.emit('designDelta', { ivb: m1.ivb - m0.ivb, hb: m1.hb - m0.hb });
+}
+
+function syncInputs() {
+  for (const f of FIELDS) {
+    const { range, out } = _inputs[f.id];
+    range.value = _edit[f.id];
+    out.textContent = `${Number(_edit[f.id]).toFixed(f.step < 1 ? (f.step < 0.1 ? 2 : 1) : 0)} ${f.unit}`;
+  }
+  _inputs.clock.value = axisToClock(_edit.axis);
+}
+
+function load(datum) {
+  _orig = datum || null;
+  const panel = document.getElementById('designPanel');
+  panel.hidden = !(_enabled && _orig);
+  if (!_enabled || !_orig) {
+    clearGhostBall();
+    Bus.emit('designDelta', null);
+    return;
+  }
+  _edit = valuesFromDatum(_orig);
+  const velo = _inputs.velo.range;
+  velo.min = Math.max(40, Math.floor(_edit.velo - FIELDS[0].span));
+  velo.max = Math.ceil(_edit.velo + FIELDS[0].span);
+  syncInputs();
+  refly();
+}
+
+function buildDesignPanel(el) {
+  el.innerHTML = `
+    <div class="metrics-title design-head">
+      <span>Design Sandbox</span>
+      <button id="designReset" class="mini-btn">Reset</button>
+    </div>
+    <div id="designRows"></div>
+  `;
+  const rows = el.querySelector('#designRows');
+
+  for (const f of FIELDS) {
+    const row = document.createElement('div');
+    row.className = 'design-row';
+
+    const label = document.createElement('label');
+    label.htmlFor = `design-${f.id}`;
+    label.textContent = f.label;
+
+    const out = document.createElement('span');
+    out.className = 'design-value';
+
+    const range = document.createElement('input');
+    range.type = 'range'; range.id = `design-${f.id}`; range.step = f.step;
+    if (f.min !== undefined) { range.min = f.min; range.max = f.max; }
+    range.addEventListener('input', () => {
+      _edit[f.id] = Number(range.value);
+      syncInputs();
+      refly();
+    });
+
+    row.appendChild(label); row.appendChild(out); row.appendChild(range);
+    rows.appendChild(row);
+    _inputs[f.id] = { range, out };
+
+    if (f.id === 'axis') {
+      const clock = document.createElement('input');
+      clock.type = 'text'; clock.className = 'clock-input'; clock.title = 'Tilt as a clock face (e.g. 1:30)';
+      clock.addEventListener('change', () => {
+        const deg = clockToAxis(clock.value);
+        if (Number.isFinite(deg)) { _edit.axis = deg; refly(); }
+        syncInputs();
+      });
+      row.appendChild(clock);
+      _inputs.clock = clock;
+    }
+  }
+
+  el.querySelector('#designReset').addEventListener('click', () => load(_orig));
+}
+
+export function initDesignPanel() {
+  const panel = document.getElementById('designPanel');
+  const toggle = document.getElementById('designToggle');
+  buildDesignPanel(panel);
+
+  toggle.addEventListener('change', () => {
+    _enabled = toggle.checked;
+    load(_orig);
+  });
+  Bus.on('selectDatum', ({ datum }) => load(datum));
+  Bus.on('flightModel', refly);
+}
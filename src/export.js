@@ -0,0 +1,170 @@
+import { getRefs } from './scene.js';
+import { animateBalls } from './balls.js';
+import { getPlayback, seek, setPlaying } from './playback.js';
+import { extractVP8, encodeWebM } from './webm.js';
+import { updateCamera } from './camera.js';
+
+// Offline replay export. Each frame is placed with seek(t) + animateBalls(t) at
+// t = i / fps, so a clip is identical however slow the machine renders.
+// Primary path: canvas → lossy WebP → VP8 frames muxed into WebM (webm.js).
+// Browsers without a WebP encoder fall back to MediaRecorder, paced in real time.
+
+export const EXPORT_SIZES = {
+  window: null,
+  '480p': [854, 480],
+  '720p': [1280, 720],
+  '1080p': [1920, 1080]
+};
+export const EXPORT_FPS = [24, 30, 60];
+const TAIL_S = 0.3;          // hold on the plate after the last ball arrives
+const QUALITY = 0.92;
+
+let _exporting = false;
+export function isExporting() { return _exporting; }
+
+function supportsWebP() {
+  const c = document.createElement('canvas');
+  c.width = c.height = 1;
+  return c.toDataURL('image/webp').startsWith('data:image/webp');
+}
+
+function canvasBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(b => (b ? resolve(b) : reject(new Error('frame capture failed'))), type, quality));
+}
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function captureWebP(canvas, times, onFrame) {
+  const frames = [];
+  for (let i = 0; i < times.length; i++) {
+    seek(times[i]);
+    updateCamera(0, times[i]);   // follow mode tracks the ball frame by frame
+    animateBalls(times[i]);
+    // toBlob snapshots synchronously, before the drawing buffer is cleared
+    const blob = await canvasBlob(canvas, 'image/webp', QUALITY);
+    frames.push(extractVP8(new Uint8Array(await blob.arrayBuffer())));
+    onFrame(i);
+  }
+  return frames;
+}
+
+async function captureRecorder(canvas, times, fps, onFrame) {
+  const mime = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(m => window.MediaRecorder?.isTypeSupported(m));
+  if (!mime) throw new Error('this browser cannot encode WebM');
+
+  const stream = canvas.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+  const recorder = new MediaRecorder(stream, { mimeType: mime, videoBitsPerSecond: 8e6 });
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  const stopped = new Promise(r => { recorder.onstop = r; });
+
+  recorder.start();
+  for (let i = 0; i < times.length; i++) {
+    seek(times[i]);
+    updateCamera(0, times[i]);
+    animateBalls(times[i]);
+    track.requestFrame();
+    onFrame(i);
+    await wait(1000 / fps);
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * Render the current replay from the current camera into a WebM Blob.
+ * size: key of EXPORT_SIZES; onProgress(0..1).
+ */
+export async function exportReplay({ size = '720p', fps = 30, onProgress = () => {} } = {}) {
+  if (_exporting) throw new Error('export already running');
+  const { renderer, camera } = getRefs();
+  const canvas = renderer.domElement;
+  const saved = getPlayback();
+  const prevRatio = renderer.getPixelRatio();
+  const [w, h] = EXPORT_SIZES[size] || [canvas.clientWidth || window.innerWidth, canvas.clientHeight || window.innerHeight];
+  // VP8 wants even dimensions
+  const width = w - (w % 2), height = h - (h % 2);
+
+  const frameCount = Math.ceil((saved.duration + TAIL_S) * fps) + 1;
+  const times = Array.from({ length: frameCount }, (_, i) => Math.min(i / fps, saved.duration));
+
+  _exporting = true;
+  setPlaying(false);
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false);
+  camera.aspect = width / height;
+  camera.updateProjectionMatrix();
+
+  try {
+    const onFrame = (i) => onProgress((i + 1) / frameCount);
+    if (supportsWebP()) {
+      const frames = await captureWebP(canvas, times, onFrame);
+      return new Blob([encodeWebM(frames, { width, height, fps })], { type: 'video/webm' });
+    }
+    return await captureRecorder(canvas, times, fps, onFrame);
+  } finally {
+    renderer.setPixelRatio(prevRatio);
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    seek(saved.t);
+    setPlaying(saved.playing);
+    _exporting = false;
+  }
+}
+
+export function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function initExport() {
+  const sizeSel = document.getElementById('exportSize');
+  const fpsSel = document.getElementById('exportFps');
+  const btn = document.getElementById('exportBtn');
+  const status = document.getElementById('exportStatus');
+
+  for (const key of Object.keys(EXPORT_SIZES)) {
+    const opt = document.createElement('option');
+    opt.value = key; opt.textContent = key === 'window' ? 'Window size' : key;
+    sizeSel.appendChild(opt);
+  }
+  sizeSel.value = '720p';
+  for (const f of EXPORT_FPS) {
+    const opt = document.createElement('option');
+    opt.value = f; opt.textContent = `${f} fps`;
+    fpsSel.appendChild(opt);
+  }
+  fpsSel.value = '30';
+
+  btn.addEventListener('click', async () => {
+    btn.disabled = true;
+    status.textContent = 'Rendering…';
+    try {
+      const blob = await exportReplay({
+        size: sizeSel.value,
+        fps: Number(fpsSel.value),
+        onProgress: (p) => { status.textContent = `Rendering… ${Math.round(p * 100)}%`; }
+      });
+      const pitcher = document.getElementById('pitcherSelect')?.value || 'replay';
+      const view = document.getElementById('cameraSelect')?.value || 'view';
+      downloadBlob(blob, `${pitcher}-${view}.webm`.replace(/[^\w.-]+/g, '_'));
+      status.textContent = `Saved ${(blob.size / 1e6).toFixed(1)} MB`;
+    } catch (err) {
+      console.error(err);
+      status.textContent = `Export failed: ${err.message}`;
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
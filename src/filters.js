@@ -0,0 +1,91 @@
+// Filtering for individual pitches (pure, no DOM).
+// A filter is { types, zones, count, stand, countGroup }; null/'all' means "no restriction".
+
+export const DEFAULT_FILTERS = { types: null, zones: null, count: 'all', stand: 'all', countGroup: 'all' };
+
+export const COUNTS = [
+  '0-0', '0-1', '0-2', '1-0', '1-1', '1-2', '2-0', '2-1', '2-2', '3-0', '3-1', '3-2'
+];
+
+// scene key of an individual pitch (the ball key outside compare mode)
+export function pitchKey(p) {
+  return `${p.pitch_type} #${p.id}`;
+}
+
+export function countOf(p) {
+  return (typeof p.balls === 'number' && typeof p.strikes === 'number') ? `${p.balls}-${p.strikes}` : null;
+}
+
+// Count situations from the pitcher's side: ahead = more strikes than balls.
+// 'two' (two strikes) overlaps the other three.
+export const COUNT_GROUPS = [
+  ['ahead', 'Pitcher ahead'], ['even', 'Even count'], ['behind', 'Pitcher behind'], ['two', 'Two strikes']
+];
+
+export function inCountGroup(p, group) {
+  if (!group || group === 'all') return true;
+  if (countOf(p) === null) return false;
+  if (group === 'two') return p.strikes === 2;
+  if (group === 'ahead') return p.strikes > p.balls;
+  if (group === 'behind') return p.balls > p.strikes;
+  if (group === 'even') return p.balls === p.strikes;
+  return false;
+}
+
+export function matchesFilters(p, f = DEFAULT_FILTERS) {
+  if (f.types && !f.types.has(p.pitch_type)) return false;
+  if (f.zones && !f.zones.has(p.zone)) return false;
+  if (f.count && f.count !== 'all' && countOf(p) !== f.count) return false;
+  if (f.stand && f.stand !== 'all' && p.stand !== f.stand) return false;
+  if (!inCountGroup(p, f.countGroup)) return false;
+  return true;
+}
+
+export function filterPitches(list, f = DEFAULT_FILTERS) {
+  return (list || []).filter(p => matchesFilters(p, f));
+}
+
+/**
+ * Share of each pitch type in `list`, most used first: [{ type, n, pct }].
+ * weight(p) counts a record as several pitches (zone averages carry their n).
+ */
+export function usageByType(list, weight = () => 1) {
+  const counts = {};
+  for (const p of list || []) if (p.pitch_type) counts[p.pitch_type] = (counts[p.pitch_type] || 0) + weight(p);
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  return Object.entries(counts)
+    .map(([type, n]) => ({ type, n, pct: (100 * n) / total }))
+    .sort((a, b) => b.n - a.n || a.type.localeCompare(b.type));
+}
+
+// ---------- at-bats ----------
+const atBatId = (p) => `${p.game_pk ?? p.game_date ?? '?'}:${p.at_bat_number ?? '?'}`;
+
+/**
+ * Group pitches into plate appearances (game_pk + at_bat_number), pitches in order,
+ * most recent at-bat first. Pitches without an at-bat number are left out.
+ */
+export function groupAtBats(list) {
+  const groups = new Map();
+  for (const p of list || []) {
+    if (p.at_bat_number === undefined || p.at_bat_number === null) continue;
+    const id = atBatId(p);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(p);
+  }
+  const atBats = [...groups].map(([id, pitches]) => {
+    pitches.sort((a, b) => (a.pitch_number ?? 0) - (b.pitch_number ?? 0));
+    const last = pitches[pitches.length - 1];
+    return {
+      id, pitches,
+      date: last.game_date ?? null,
+      inning: last.inning ?? null,
+      batter: last.batter_name || (last.batter ? String(last.batter) : null),
+      stand: last.stand ?? null,
+      result: String(last.events || last.description || '').replace(/_/g, ' ')
+    };
+  });
+  return atBats.sort((a, b) =>
+    String(b.date).localeCompare(String(a.date)) ||
+    String(b.id).localeCompare(String(a.id), undefined, { numeric: true }));
+}
@@ -1,25 +1,71 @@
-import { initScene, getRefs } from './src/scene.js';
-import { animateBalls } from './src/balls.js';
-import { initControls } from './src/ui.js';
-import { loadPitchData } from './src/data.js';
+import { initScene, getRefs } from './scene.js';
+import { animateBalls } from './balls.js';
+import { initControls } from './ui.js';
+import { loadPitchData } from './data.js';
+import { initDesignPanel } from './design.js';
+import { initTunnelView } from './tunnelview.js';
+import { initReleaseView } from './releaseview.js';
+import { initSequence } from './sequence.js';
+import { initQuiz } from './quiz.js';
+import { tick, setPlaying } from './playback.js';
+import { initTimeline } from './timeline.js';
+import { initExport, isExporting } from './export.js';
+import { initStrikeZone } from './strikezone.js';
+import { initCharts } from './charts.js';
+import { initPalette } from './palette.js';
+import { initBallpark } from './ballpark.js';
+import { initCamera, updateCamera } from './camera.js';
+import { initPicking } from './picking.js';
+import { restoreUrlState } from './urlstate.js';
+import { showToast } from './toast.js';
+import { initDataStatus, setLoadState } from './datastatus.js';
 
-let playing = true;
-function setPlaying(updateFnOrBool) {
-  if (typeof updateFnOrBool === 'function') playing = !!updateFnOrBool(playing);
-  else playing = !!updateFnOrBool;
-  return playing;
+// offline mode: cached app shell + last dataset (sw.js); file:// pages just run online
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+  navigator.serviceWorker.register('./sw.js').catch(err => console.warn('[sw] not registered:', err));
 }
 
 initScene();
-const data = await loadPitchData();
+initCamera();
+initPicking();
+initDataStatus();
+
+// a failed load still brings the app up, so a Savant CSV can be dropped in instead
+let data = {};
+try {
+  data = await loadPitchData();
+} catch (err) {
+  console.error(err);
+  setLoadState('failed', err.message);
+}
+initDesignPanel();
+initTunnelView();
+initReleaseView();
+initStrikeZone();
+initCharts();
+initPalette();
+initBallpark();
+initTimeline();
+initSequence();
+initQuiz();
+initExport();
 initControls(data, setPlaying);
 
+// shared links: apply the encoded scene, and say so when parts of it no longer exist
+const linkProblems = await restoreUrlState();
+if (linkProblems.length) showToast(linkProblems.join(' '));
+
 // render loop
 const { clock } = getRefs();
 let last = clock.getElapsedTime();
-(function loop(){
+
+function loop() {
   requestAnimationFrame(loop);
   const now = clock.getElapsedTime();
   const dt = now - last; last = now;
-  if (playing) animateBalls(dt);
-})();
+  if (isExporting()) return;   // export drives the frames itself
+  const t = tick(dt);
+  updateCamera(dt, t);
+  animateBalls(t);
+}
+loop();
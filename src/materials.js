@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { spinVector } from './physics.js';
+import { pitchColor } from './palette.js';
 
 /**
  * Baseball material with true figure-8 seams (single continuous curve on the sphere)
@@ -126,23 +128,33 @@ function buildBumpTexture(w = TEX_W, h = TEX_H) {
   return tex;
 }
 
-export function createHalfColorMaterial(pitchType) {
-  const base = (pitchType || '').split(' ')[0];
-  const accent = {
-    FF:'#ff3b30', SL:'#0a84ff', CH:'#30d158', KC:'#5e5ce6',
-    SI:'#ff9f0a', CU:'#bf5af2', FC:'#8e8e93', ST:'#64d2ff',
-    FS:'#64d2ff', EP:'#ff375f', KN:'#a1a1a6', SC:'#6e6e73',
-    SV:'#ffffff', CS:'#ac8e68', FO:'#ffd60a'
-  }[base] || '#ff3b30';
+// The seam textures are expensive to generate, so they are built once and shared.
+let _albedoTex = null, _bumpTex = null;
+const _materialCache = new Map();
+const BALL_TINT = 0.45;   // how far the white leather is tinted toward the type colour
+
+function seamTextures() {
+  if (!_albedoTex) _albedoTex = buildAlbedoTexture();
+  if (!_bumpTex) _bumpTex = buildBumpTexture();
+  return { map: _albedoTex, bump: _bumpTex };
+}
+
+/**
+ * Ball material for a pitch type in its palette colour (palette.js), cached per colour and
+ * shared by every ball of that type. A tint (hex) replaces the type colour, used in compare
+ * mode. Treat the result as read-only: clone() it before changing properties.
+ */
+export function createHalfColorMaterial(pitchType, tint = null) {
+  const color = tint ?? pitchColor(pitchType);
+  if (_materialCache.has(color)) return _materialCache.get(color);
 
-  const map  = buildAlbedoTexture();
-  const bump = buildBumpTexture();
+  const { map, bump } = seamTextures();
 
-  return new THREE.MeshPhysicalMaterial({
+  const material = new THREE.MeshPhysicalMaterial({
     map,
     bumpMap: bump,
     bumpScale: 0.040,
-    color: new THREE.Color('#ffffff'),
+    color: new THREE.Color('#ffffff').lerp(new THREE.Color(color), BALL_TINT),
     roughness: 0.48,
     metalness: 0.0,
     sheen: 0.5,
@@ -150,12 +162,31 @@ export function createHalfColorMaterial(pitchType) {
     clearcoat: 0.25,
     clearcoatRoughness: 0.5,
     reflectivity: 0.34,
-    emissive: new THREE.Color(accent),
-    emissiveIntensity: 0.012
+    emissive: new THREE.Color(color),
+    emissiveIntensity: 0.35
   });
+  _materialCache.set(color, material);
+  return material;
 }
 
-export function getSpinAxisVector(degrees) {
-  const r = THREE.MathUtils.degToRad(degrees || 0);
-  return new THREE.Vector3(Math.cos(r), 0, Math.sin(r)).normalize();
+/**
+ * Spin axis in scene space from Statcast spin_axis (deg) and spin efficiency.
+ * The gyro part (1 - efficiency) points along the flight; gyroSign flips it for LHP.
+ * Rotating by +omega about this axis (right-hand rule) gives the pitch's actual spin.
+ */
+export function getSpinAxisVector(degrees, efficiency = 1, gyroSign = 1) {
+  const s = spinVector(degrees || 0, efficiency, gyroSign);
+  return new THREE.Vector3(-s.x, s.z, s.y).normalize();
+}
+
+// Seam presentation: four-seam pitches spin about the texture pole, two-seam about the waist.
+const TWO_SEAM_TYPES = new Set(['SI', 'FT', 'CH', 'FS', 'SC', 'FO']);
+const POLE_AXIS  = new THREE.Vector3(0, 1, 0);
+const WAIST_AXIS = new THREE.Vector3(1, 0, 0);
+
+/** Release orientation that lines the seam pattern up with the spin axis. */
+export function getSeamOrientation(spinAxis, pitchType) {
+  const base = (pitchType || '').split(' ')[0];
+  const local = TWO_SEAM_TYPES.has(base) ? WAIST_AXIS : POLE_AXIS;
+  return new THREE.Quaternion().setFromUnitVectors(local, spinAxis.clone().normalize());
 }
@@ -0,0 +1,198 @@
+import { fmt } from './metrics.js';
+import { axisToClock } from './physics.js';
+
+// Configurable stat cards for the metrics panel: which cards, in what order, and
+// imperial or metric units. The choice is kept per device in localStorage.
+
+const STORAGE_KEY = 'newpv.metricCards';
+export const DEFAULT_CARDS = ['velo', 'spin', 'ivb', 'hb'];
+
+// [imperial unit, metric unit, imperial → metric factor]
+const UNITS = {
+  speed: ['mph', 'km/h', 1.609344],
+  break: ['in', 'cm', 2.54],
+  dist: ['ft', 'm', 0.3048],
+  spin: ['rpm', 'rpm', 1],
+  angle: ['°', '°', 1],
+  time: ['s', 's', 1],
+  pct: ['%', '%', 100]
+};
+
+// key: field of extendedMetrics()
+export const METRIC_CARDS = [
+  { id: 'velo', label: 'Velo', key: 'mph', dim: 'speed', digits: 1 },
+  { id: 'spin', label: 'Spin', key: 'spin', dim: 'spin', digits: 0 },
+  { id: 'ivb', label: 'IVB', key: 'ivb', dim: 'break', digits: 1 },
+  { id: 'hb', label: 'HB', key: 'hb', dim: 'break', digits: 1 },
+  { id: 'ext', label: 'Extension', key: 'ext', dim: 'dist', digits: 2 },
+  { id: 'relZ', label: 'Rel Height', key: 'relZ', dim: 'dist', digits: 2 },
+  { id: 'relX', label: 'Rel Side', key: 'relX', dim: 'dist', digits: 2 },
+  { id: 'pvelo', label: 'Perceived', key: 'pmph', dim: 'speed', digits: 1 },
+  { id: 'eff', label: 'Spin Eff', key: 'eff', dim: 'pct', digits: 0 },
+  { id: 'axis', label: 'Spin Axis', key: 'axis', dim: 'clock' },
+  { id: 'vaa', label: 'VAA', key: 'vaa', dim: 'angle', digits: 1 },
+  { id: 'haa', label: 'HAA', key: 'haa', dim: 'angle', digits: 1 },
+  { id: 'ttp', label: 'To Plate', key: 'ttp', dim: 'time', digits: 3 }
+];
+const CARD_BY_ID = new Map(METRIC_CARDS.map(c => [c.id, c]));
+
+let _config = loadConfig();
+let _metrics = {};
+let _els = null;
+
+function loadConfig() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    const cards = (saved?.cards || []).filter(id => CARD_BY_ID.has(id));
+    return { cards: cards.length ? cards : [...DEFAULT_CARDS], units: saved?.units === 'metric' ? 'metric' : 'imperial' };
+  } catch {
+    return { cards: [...DEFAULT_CARDS], units: 'imperial' };
+  }
+}
+
+function saveConfig() {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(_config)); } catch { /* private mode */ }
+}
+
+export function getCardConfig() { return { cards: [..._config.cards], units: _config.units }; }
+
+export function setCardConfig({ cards = _config.cards, units = _config.units } = {}) {
+  _config = { cards: cards.filter(id => CARD_BY_ID.has(id)), units: units === 'metric' ? 'metric' : 'imperial' };
+  saveConfig();
+  buildCards();
+  buildEditor();
+}
+
+/** Display text and unit for one card in the given unit system. */
+export function cardValue(card, metrics, units = 'imperial') {
+  const v = metrics?.[card.key];
+  if (card.dim === 'clock') return { text: Number.isFinite(Number(v)) && v !== null ? axisToClock(v) : '--', unit: 'tilt' };
+  const [imp, met, k] = UNITS[card.dim];
+  const n = v === undefined || v === null ? NaN : Number(v);
+  if (card.dim === 'pct') return { text: fmt(n * k, card.digits), unit: imp };
+  return units === 'metric'
+    ? { text: fmt(n * k, card.digits), unit: met }
+    : { text: fmt(n, card.digits), unit: imp };
+}
+
+// clock face seen from behind the pitcher; 180° of spin axis points at 12:00
+function clockSvg(axisDeg) {
+  const ok = axisDeg !== undefined && axisDeg !== null && Number.isFinite(Number(axisDeg));
+  const a = ((Number(axisDeg) / 30 + 6) % 12) * 30 * Math.PI / 180;
+  const ticks = Array.from({ length: 12 }, (_, i) => {
+    const t = i * Math.PI / 6, r0 = i % 3 ? 8.5 : 7.5;
+    return `<line x1="${12 + r0 * Math.sin(t)}" y1="${12 - r0 * Math.cos(t)}" x2="${12 + 10 * Math.sin(t)}" y2="${12 - 10 * Math.cos(t)}"/>`;
+  }).join('');
+  const hand = ok ? `<line class="hand" x1="12" y1="12" x2="${12 + 7 * Math.sin(a)}" y2="${12 - 7 * Math.cos(a)}"/>` : '';
+  return `<svg class="metric-clock" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10.5"/>${ticks}${hand}</svg>`;
+}
+
+function buildCards() {
+  if (!_els) return;
+  _els.grid.innerHTML = '';
+  for (const id of _config.cards) {
+    const card = CARD_BY_ID.get(id);
+    const el = document.createElement('div');
+    el.className = 'metric';
+    el.dataset.card = id;
+    el.innerHTML = '<div class="metric-label"></div><div class="metric-value">--</div><div class="metric-unit"></div>';
+    el.querySelector('.metric-label').textContent = card.label;
+    _els.grid.appendChild(el);
+  }
+  renderMetricCards(_metrics);
+}
+
+/** Show a metrics object (see extendedMetrics) on the configured cards. */
+export function renderMetricCards(metrics) {
+  _metrics = metrics || {};
+  if (!_els) return;
+  for (const el of _els.grid.children) {
+    const card = CARD_BY_ID.get(el.dataset.card);
+    const { text, unit } = cardValue(card, _metrics, _config.units);
+    const value = el.querySelector('.metric-value');
+    if (card.dim === 'clock') value.innerHTML = `${clockSvg(_metrics[card.key])}<span>${text}</span>`;
+    else value.textContent = text;
+    el.querySelector('.metric-unit').textContent = unit;
+  }
+}
+
+/**
+ * A .metrics-table for the stat panels. Cells are text or DOM nodes, never HTML: pitch
+ * types and names can come from a dropped CSV.
+ */
+export function metricsTable(headers, rows) {
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+  const line = (tag, cells) => {
+    const tr = document.createElement('tr');
+    for (const c of cells) {
+      const td = document.createElement(tag);
+      td.append(c);
+      tr.appendChild(td);
+    }
+    return tr;
+  };
+  table.createTHead().appendChild(line('th', headers));
+  const body = table.createTBody();
+  for (const cells of rows) body.appendChild(line('td', cells));
+  return table;
+}
+
+// shown cards first (in their order) with ↑/↓, then the hidden ones
+function buildEditor() {
+  if (!_els) return;
+  const ed = _els.editor;
+  ed.innerHTML = '';
+
+  const units = document.createElement('select');
+  for (const [value, label] of [['imperial', 'Imperial (mph, in, ft)'], ['metric', 'Metric (km/h, cm, m)']]) {
+    const opt = document.createElement('option');
+    opt.value = value; opt.textContent = label;
+    units.appendChild(opt);
+  }
+  units.value = _config.units;
+  units.addEventListener('change', () => setCardConfig({ units: units.value }));
+  ed.appendChild(units);
+
+  const shown = _config.cards;
+  const order = [...shown, ...METRIC_CARDS.map(c => c.id).filter(id => !shown.includes(id))];
+  for (const id of order) {
+    const row = document.createElement('div');
+    row.className = 'card-row';
+    const label = document.createElement('label');
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.checked = shown.includes(id);
+    cb.addEventListener('change', () => {
+      setCardConfig({ cards: cb.checked ? [...shown, id] : shown.filter(c => c !== id) });
+    });
+    label.append(cb, CARD_BY_ID.get(id).label);
+    row.appendChild(label);
+
+    const i = shown.indexOf(id);
+    for (const [text, dir] of [['↑', -1], ['↓', 1]]) {
+      const btn = document.createElement('button');
+      btn.className = 'icon-btn';
+      btn.textContent = text;
+      btn.disabled = i < 0 || !shown[i + dir];
+      btn.addEventListener('click', () => {
+        const next = [...shown];
+        [next[i], next[i + dir]] = [next[i + dir], next[i]];
+        setCardConfig({ cards: next });
+      });
+      row.appendChild(btn);
+    }
+    ed.appendChild(row);
+  }
+}
+
+export function initMetricCards({ grid, editor, toggle }) {
+  _els = { grid, editor };
+  editor.hidden = true;
+  toggle.addEventListener('click', () => {
+    editor.hidden = !editor.hidden;
+    toggle.classList.toggle('active', !editor.hidden);
+  });
+  buildCards();
+  buildEditor();
+}
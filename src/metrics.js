@@ -0,0 +1,122 @@
+import { createTrajectory, releaseSpeedMph, MOUND_TO_PLATE } from './trajectory.js';
+import { spinEfficiency } from './physics.js';
+
+// Metric derivation shared by the metrics panel and the charts (no DOM).
+
+export function fmt(v, d = 1) {
+  if (v === null || v === undefined || Number.isNaN(Number(v))) return '--';
+  const n = Number(v);
+  return (Math.abs(n) >= 1000) ? Math.round(n).toString() : n.toFixed(d);
+}
+
+export function pick(...keys) {
+  for (const k of keys) {
+    if (k !== undefined && k !== null) return k;
+  }
+  return undefined;
+}
+// candidates: "key" or ["key", multiplier]
+export function getVal(obj, candidates) {
+  if (!obj) return undefined;
+  for (const c of candidates) {
+    if (Array.isArray(c)) {
+      const [k, mul = 1] = c;
+      if (obj[k] !== undefined && obj[k] !== null) return Number(obj[k]) * mul;
+    } else {
+      if (obj[c] !== undefined && obj[c] !== null) return Number(obj[c]);
+    }
+  }
+  return undefined;
+}
+
+// --------- TrackMan IVB from datum (gravity removed) ----------
+export function trackmanIVBInches(d) {
+  // Use explicit IVB if present (already inches, positive = ride)
+  const explicit = getVal(d, ['inducedVerticalBreak', 'ivb', 'ivb_in', 'ivb_inches']);
+  if (explicit !== undefined) return Number(explicit);
+
+  // Otherwise compute: IVB = gravity_drop - total_drop
+  // total_drop from your JSON is movement_vertical (ft) → inches
+  const totalDropIn = (() => {
+    const mvIn = getVal(d, [['movement_vertical', 12], ['movement_vertical_ft', 12], 'vertical_movement_in', 'total_vertical_break_in']);
+    return mvIn === undefined ? undefined : Math.abs(mvIn);
+  })();
+
+  // seconds; falls back to the trajectory's own plate-crossing time
+  const t = pick(d.time_to_plate, d.timeToPlate, d.tt, timeToPlateFromKinematics(d));
+  if (totalDropIn !== undefined && t !== undefined) {
+    const g = 32.174; // ft/s^2
+    const gravityDropIn = 0.5 * g * (Number(t) ** 2) * 12;
+    return gravityDropIn - totalDropIn; // + = ride, - = extra drop
+  }
+
+  // Last resort: spin-only vertical deflection from Statcast-style fields (already inches)
+  const pfxZ = getVal(d, ['pfx_z', 'vz_break', 'vertBreak']);
+  return pfxZ;
+}
+
+function timeToPlateFromKinematics(d) {
+  const t = createTrajectory(d).timeToPlate();
+  return Number.isFinite(t) ? t : undefined;
+}
+
+// derive metrics from a raw datum (your JSON object for a pitch)
+export function metricsFromDatum(d) {
+  if (!d) return { mph: undefined, spin: undefined, ivb: undefined, hb: undefined };
+
+  const mph  = pick(d.mph, d.velocity, d.vel, releaseSpeedMph(d));
+  const spin = pick(d.spin, d.rpm, d.release_spin_rate);
+
+  const ivb  = trackmanIVBInches(d);
+
+  // HB (no gravity on X). Prefer inch-native, else convert ft → in.
+  const hbRaw = getVal(d, [
+    'hb', 'hb_in', 'hb_inches', 'horizontalBreak', 'hbreak', 'horizontal_break',
+    ['pfx_x', 1],
+    ['movement_horizontal', 12], ['movement_horizontal_ft', 12]
+  ]);
+  const hb = hbRaw === undefined ? undefined : -hbRaw;   // flip the sign
+
+  return { mph, spin, ivb, hb };
+}
+
+// league-average extension; perceived velocity scales release speed by how much
+// closer than average the ball is let go
+export const AVG_EXTENSION_FT = 6.3;
+const DEG = 180 / Math.PI;
+
+// approach angles at the front of the plate from the Statcast-fit velocity (deg);
+// VAA is negative for a descending pitch, HAA positive toward the first-base side
+function approachAngles(traj) {
+  const t = traj.timeToPlate();
+  if (!Number.isFinite(t)) return { vaa: undefined, haa: undefined };
+  const v = traj.velocityAt(t);
+  return { vaa: Math.atan2(v.z, -v.y) * DEG, haa: Math.atan2(v.x, -v.y) * DEG };
+}
+
+/**
+ * metricsFromDatum plus the release, spin and approach numbers shown on the stat cards.
+ * Distances in ft, angles in degrees, time in seconds, efficiency as a 0..1 fraction.
+ */
+export function extendedMetrics(d) {
+  const base = metricsFromDatum(d);
+  if (!d) return base;
+  const num = (v) => (v === undefined || v === null || !Number.isFinite(Number(v)) ? undefined : Number(v));
+  const traj = createTrajectory(d);
+  const ext = num(d.release_extension);
+  const ttp = traj.timeToPlate();
+  const eff = spinEfficiency(d);
+  return {
+    ...base,
+    ext,
+    relZ: num(d.release_pos_z),
+    relX: num(d.release_pos_x),
+    pmph: num(d.effective_speed) ?? (base.mph !== undefined && ext !== undefined
+      ? Number(base.mph) * (MOUND_TO_PLATE - AVG_EXTENSION_FT) / (MOUND_TO_PLATE - ext)
+      : undefined),
+    eff: Number.isFinite(eff) ? eff : undefined,
+    axis: num(d.spin_axis),
+    ...approachAngles(traj),
+    ttp: Number.isFinite(ttp) ? ttp : undefined
+  };
+}
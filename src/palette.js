@@ -0,0 +1,181 @@
+import { Bus, getPitchList, getZoneAverages } from './data.js';
+
+// Pitch-type colours for balls, trails, charts and the legend, defined once. A theme maps
+// base pitch types to colours; a team can override single types on top of any theme.
+// Theme and team colours are kept per device in localStorage. Emits 'palette' on change.
+
+const STORAGE_KEY = 'newpv.palette';
+const FALLBACK = 0x8e8e93;   // unknown types (and the quiz's unlabelled ball)
+
+export const PITCH_NAMES = {
+  FF: 'Four-seam', SI: 'Sinker', FC: 'Cutter',
+  SL: 'Slider', ST: 'Sweeper', SV: 'Slurve', CU: 'Curveball', KC: 'Knuckle curve', CS: 'Slow curve',
+  CH: 'Changeup', FS: 'Splitter', FO: 'Forkball', SC: 'Screwball',
+  EP: 'Eephus', KN: 'Knuckleball'
+};
+
+// The colour-blind themes only have 7-8 distinguishable hues, so rarer types share their
+// family's colour (sweeper/slurve, the curveballs, the changeup/splitter family).
+export const THEMES = {
+  classic: {
+    label: 'Classic',
+    colors: {
+      FF: 0xff3b30, SI: 0xff9f0a, FC: 0xac8e68,
+      SL: 0x0a84ff, ST: 0x64d2ff, SV: 0x5e9cff, CU: 0xbf5af2, KC: 0x5e5ce6, CS: 0xda8fff,
+      CH: 0x30d158, FS: 0x66d4cf, FO: 0xffd60a, SC: 0x8fd14f,
+      EP: 0xff375f, KN: 0xa1a1a6
+    }
+  },
+  okabeIto: {
+    label: 'Colour-blind safe (Okabe-Ito)',
+    colors: {
+      FF: 0xd55e00, SI: 0xe69f00, FC: 0xf0e442,
+      SL: 0x0072b2, ST: 0x56b4e9, SV: 0x56b4e9, CU: 0xcc79a7, KC: 0xcc79a7, CS: 0xcc79a7,
+      CH: 0x009e73, FS: 0x009e73, FO: 0x009e73, SC: 0x009e73,
+      EP: 0xbbbbbb, KN: 0xbbbbbb
+    }
+  },
+  tolVibrant: {
+    label: 'Colour-blind safe (Tol vibrant)',
+    colors: {
+      FF: 0xcc3311, SI: 0xee7733, FC: 0xbbbbbb,
+      SL: 0x0077bb, ST: 0x33bbee, SV: 0x33bbee, CU: 0xee3377, KC: 0xee3377, CS: 0xee3377,
+      CH: 0x009988, FS: 0x009988, FO: 0x009988, SC: 0x009988,
+      EP: 0xdddddd, KN: 0xdddddd
+    }
+  }
+};
+export const DEFAULT_THEME = 'classic';
+
+let _config = loadConfig();   // { theme, teams: { team: { TYPE: hex } } }
+let _team = null;             // team of the selected pitcher: whose overrides apply
+let _types = [];              // base types of the selected pitcher, for the legend
+let _els = null;
+
+function loadConfig() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    const teams = saved?.teams && typeof saved.teams === 'object' ? saved.teams : {};
+    return { theme: THEMES[saved?.theme] ? saved.theme : DEFAULT_THEME, teams };
+  } catch {
+    return { theme: DEFAULT_THEME, teams: {} };
+  }
+}
+
+function saveConfig() {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(_config)); } catch { /* private mode */ }
+}
+
+const baseType = (type) => String(type || '').split(' ')[0];
+export const cssHex = (c) => `#${c.toString(16).padStart(6, '0')}`;
+export const cssRgba = (c, a = 1) => `rgba(${c >> 16 & 255},${c >> 8 & 255},${c & 255},${a})`;
+
+/** Colour (hex number) of a pitch type or ball key, with the team's overrides applied. */
+export function pitchColor(type, team = _team) {
+  const base = baseType(type);
+  return _config.teams[team]?.[base] ?? THEMES[_config.theme].colors[base] ?? FALLBACK;
+}
+
+export function getTheme() { return _config.theme; }
+
+export function setTheme(id) {
+  if (!THEMES[id] || id === _config.theme) return;
+  _config.theme = id;
+  saveConfig();
+  changed();
+}
+
+export function getTeamColors(team) { return { ...(_config.teams[team] || {}) }; }
+
+/** Override one type for a team; color null puts the theme colour back. */
+export function setTeamColor(team, type, color) {
+  if (!team) return;
+  const base = baseType(type);
+  const own = { ...(_config.teams[team] || {}) };
+  if (color === null || color === undefined) delete own[base];
+  else own[base] = color;
+  if (Object.keys(own).length) _config.teams[team] = own;
+  else delete _config.teams[team];
+  saveConfig();
+  changed();
+}
+
+export function resetTeamColors(team) {
+  if (!_config.teams[team]) return;
+  delete _config.teams[team];
+  saveConfig();
+  changed();
+}
+
+function changed() {
+  renderLegend();
+  Bus.emit('palette', { theme: _config.theme, team: _team });
+}
+
+// ---------- legend ----------
+function typesOf(pitcherData) {
+  const types = new Set();
+  for (const p of getPitchList(pitcherData)) if (p.pitch_type) types.add(p.pitch_type);
+  for (const key of Object.keys(getZoneAverages(pitcherData))) types.add(baseType(key));
+  return [...types].sort();
+}
+
+function buildLegend(panel) {
+  panel.innerHTML = `
+    <div class="legend-head">
+      <b class="legend-title" title="Show or hide the legend">Pitch types</b>
+      <select id="legendTheme" title="Colour theme"></select>
+    </div>
+    <div class="legend-rows" id="legendRows"></div>
+    <div class="legend-foot">
+      <span class="status-line" id="legendNote"></span>
+      <button class="mini-btn" id="legendReset" hidden>Reset</button>
+    </div>`;
+  const $ = (id) => panel.querySelector(`#${id}`);
+  const els = { panel, theme: $('legendTheme'), rows: $('legendRows'), note: $('legendNote'), reset: $('legendReset') };
+  for (const [id, t] of Object.entries(THEMES)) els.theme.appendChild(new Option(t.label, id));
+  return els;
+}
+
+function renderLegend() {
+  if (!_els) return;
+  _els.theme.value = _config.theme;
+  _els.rows.innerHTML = '';
+  const own = _config.teams[_team] || {};
+  for (const type of _types) {
+    const row = document.createElement('label');
+    row.className = 'legend-row';
+    const pick = document.createElement('input');
+    pick.type = 'color';
+    pick.value = cssHex(pitchColor(type));
+    pick.title = _team ? `Colour for ${type} on ${_team}` : type;
+    pick.addEventListener('change', () => setTeamColor(_team, type, parseInt(pick.value.slice(1), 16)));
+    const code = document.createElement('b');
+    code.textContent = type;
+    if (own[type] !== undefined) code.classList.add('custom');
+    const name = document.createElement('span');
+    name.textContent = PITCH_NAMES[type] || '';
+    row.append(pick, code, name);
+    _els.rows.appendChild(row);
+  }
+  const custom = Object.keys(own).length;
+  _els.reset.hidden = !custom;
+  _els.note.textContent = custom ? `${custom} ${_team} colour${custom > 1 ? 's' : ''}` : '';
+}
+
+export function initPalette() {
+  _els = buildLegend(document.getElementById('legendPanel'));
+  _els.theme.addEventListener('change', () => setTheme(_els.theme.value));
+  _els.reset.addEventListener('click', () => resetTeamColors(_team));
+  _els.panel.querySelector('.legend-title').addEventListener('click', () => _els.panel.classList.toggle('collapsed'));
+
+  Bus.on('pitcherData', ({ team, data }) => {
+    const teamChanged = team !== _team;
+    const recolor = teamChanged && (_config.teams[team] || _config.teams[_team]);
+    _team = team;
+    _types = typesOf(data);
+    if (recolor) changed();
+    else renderLegend();
+  });
+  renderLegend();
+}
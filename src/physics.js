@@ -0,0 +1,203 @@
+/**
+ * Spin-aware flight model: integrates gravity, drag and Magnus force from the release
+ * state instead of replaying the constant-acceleration Statcast fit.
+ * Pure (no DOM, no three.js); coefficients follow Alan Nathan's trajectory calculator.
+ * All kinematics are in the Statcast frame described in trajectory.js.
+ */
+import { MOUND_TO_PLATE, PLATE_FRONT_Y, GRAVITY, toScene, plateLocationOf, releaseVelocity } from './trajectory.js';
+
+const M_PER_FT      = 0.3048;
+const BALL_MASS_KG  = 0.1453;
+const BALL_RADIUS_M = (9.125 * 0.0254) / (2 * Math.PI);
+const BALL_AREA_M2  = Math.PI * BALL_RADIUS_M * BALL_RADIUS_M;
+const BALL_RADIUS_FT = BALL_RADIUS_M / M_PER_FT;
+
+// drag: CD = CD0 + CD_SPIN * rpm/1000; lift: CL = CL2*S / (CL0 + CL1*S), S = r*omega/v
+const CD0 = 0.3008, CD_SPIN = 0.0292;
+const CL0 = 0.583, CL1 = 2.333, CL2 = 1.120;
+
+const STEP_S = 0.002;
+const MAX_FLIGHT_S = 2.0;
+
+export const DEFAULT_ENV = { temperatureF: 70, elevationFt: 0 };
+
+// dry-air density (kg/m^3) from temperature and elevation (standard atmosphere pressure)
+export function airDensity({ temperatureF = DEFAULT_ENV.temperatureF, elevationFt = DEFAULT_ENV.elevationFt } = {}) {
+  const tempK = (temperatureF - 32) * 5 / 9 + 273.15;
+  const pressure = 101325 * Math.pow(1 - 2.25577e-5 * elevationFt * M_PER_FT, 5.25588);
+  return pressure / (287.05 * tempK);
+}
+
+// 0.5*rho*A/m expressed per ft, so accel (ft/s^2) = k * C * v^2 with v in ft/s
+function forceConstant(env) {
+  return 0.5 * airDensity(env) * BALL_AREA_M2 / BALL_MASS_KG * M_PER_FT;
+}
+
+export function liftCoefficient(s) {
+  return s > 0 ? CL2 * s / (CL0 + CL1 * s) : 0;
+}
+
+function spinFactorForLift(cl) {
+  return cl > 0 && cl < CL2 / CL1 ? CL0 * cl / (CL2 - CL1 * cl) : Infinity;
+}
+
+/**
+ * Unit transverse spin direction for a Statcast spin_axis (deg, 180 = pure backspin),
+ * chosen so that omega x v points along the movement direction for a pitch toward the plate.
+ */
+export function transverseSpinDir(spinAxisDeg) {
+  const r = (spinAxisDeg || 0) * Math.PI / 180;
+  return { x: Math.cos(r), y: 0, z: Math.sin(r) };
+}
+
+/**
+ * Full unit spin vector (Statcast frame) from spin axis and spin efficiency: the transverse
+ * part carries the efficiency, the rest is gyro spin along the direction of flight.
+ * gyroSign mirrors the gyro component for left-handers.
+ */
+export function spinVector(spinAxisDeg, efficiency = 1, gyroSign = 1) {
+  const e = clamp01(efficiency);
+  const t = transverseSpinDir(spinAxisDeg);
+  const g = Math.sqrt(1 - e * e) * gyroSign;
+  return { x: e * t.x, y: -g, z: e * t.z };
+}
+
+// Spin axis implied by the Statcast-fit movement (deg, same convention as spin_axis)
+export function inferredSpinAxis(d) {
+  const given = Number(d.spin_axis_inferred ?? d.inferred_spin_axis);
+  if (Number.isFinite(given)) return given;
+  const mx = Number(d.ax), mz = Number(d.az) + GRAVITY;
+  if (!Number.isFinite(mx) || !Number.isFinite(mz) || (mx === 0 && mz === 0)) return NaN;
+  return ((Math.atan2(mx, -mz) * 180 / Math.PI) % 360 + 360) % 360;
+}
+
+// observed minus movement-inferred axis, wrapped to [-180, 180); large values flag seam-shifted wake
+export function spinAxisDeviation(d) {
+  const obs = Number(d.spin_axis), inf = inferredSpinAxis(d);
+  if (!Number.isFinite(obs) || !Number.isFinite(inf)) return NaN;
+  return ((obs - inf + 540) % 360) - 180;
+}
+
+// Statcast spin_axis (deg) <-> clock-face tilt as seen from behind the pitcher ("1:30").
+// 180 deg = 12:00, every 30 deg is one hour.
+export function axisToClock(deg) {
+  const totalMin = Math.round(((((Number(deg) || 0) / 30 + 6) % 12 + 12) % 12) * 60 / 5) * 5 % 720;
+  const h = Math.floor(totalMin / 60), m = totalMin % 60;
+  return `${h === 0 ? 12 : h}:${String(m).padStart(2, '0')}`;
+}
+
+export function clockToAxis(text) {
+  const m = /^\s*(\d{1,2})(?::(\d{1,2}))?\s*$/.exec(String(text));
+  if (!m) return NaN;
+  const hours = (Number(m[1]) % 12) + Number(m[2] || 0) / 60;
+  return (((hours - 6) * 30) % 360 + 360) % 360;
+}
+
+/**
+ * Fraction of spin that is transverse (active). Uses spin_efficiency / active_spin when the
+ * datum carries it (fraction or percent), otherwise infers it from the Statcast-fit movement.
+ */
+export function spinEfficiency(d, env = DEFAULT_ENV) {
+  const given = [d.spin_efficiency, d.active_spin, d.spinEfficiency]
+    .map(Number).find(v => Number.isFinite(v));
+  if (given !== undefined) return clamp01(given > 1 ? given / 100 : given);
+  return inferSpinEfficiency(d, env);
+}
+
+export function inferSpinEfficiency(d, env = DEFAULT_ENV) {
+  const rpm = Number(d.release_spin_rate);
+  const v = { x: Number(d.vx0), y: Number(d.vy0), z: Number(d.vz0) };
+  const a = { x: Number(d.ax), y: Number(d.ay), z: Number(d.az) + GRAVITY };
+  const speed = Math.hypot(v.x, v.y, v.z);
+  if (!(rpm > 0) || !(speed > 0) || ![a.x, a.y, a.z].every(Number.isFinite)) return 1;
+
+  // strip the along-track (drag) part; what remains is the Magnus acceleration
+  const along = (a.x * v.x + a.y * v.y + a.z * v.z) / speed;
+  const magnus = Math.hypot(a.x - along * v.x / speed, a.y - along * v.y / speed, a.z - along * v.z / speed);
+
+  const needed = spinFactorForLift(magnus / (forceConstant(env) * speed * speed));
+  const total = BALL_RADIUS_FT * rpm * Math.PI / 30 / speed;
+  return clamp01(needed / total);
+}
+
+function clamp01(x) { return Math.min(1, Math.max(0, x)); }
+
+/**
+ * Integrate a pitch from its release state. Returns the same interface as
+ * createTrajectory() so playback and metrics can use either model.
+ * opts: { env, efficiency, spinRate, spinAxis } (the last three override the datum)
+ */
+export function createPhysicsTrajectory(d, opts = {}) {
+  const env = { ...DEFAULT_ENV, ...(opts.env || {}) };
+  const rpm = Number(opts.spinRate ?? d.release_spin_rate) || 0;
+  const axis = Number(opts.spinAxis ?? d.spin_axis) || 0;
+  const eff = opts.efficiency ?? spinEfficiency(d, env);
+
+  const k = forceConstant(env);
+  const cd = CD0 + CD_SPIN * rpm / 1000;
+  const omegaT = rpm * Math.PI / 30 * eff;         // transverse rad/s
+  const w = transverseSpinDir(axis);
+
+  function accel(vx, vy, vz) {
+    const speed = Math.hypot(vx, vy, vz) || 1e-9;
+    // component of the spin perpendicular to the current velocity
+    const dot = (w.x * vx + w.y * vy + w.z * vz) / speed;
+    const px = w.x - dot * vx / speed, py = w.y - dot * vy / speed, pz = w.z - dot * vz / speed;
+    const perp = Math.hypot(px, py, pz);
+    const cl = liftCoefficient(BALL_RADIUS_FT * omegaT * perp / speed);
+    // (omega_perp x v) / |omega_perp x v| = (p x v) / (|p| * speed)
+    const cx = py * vz - pz * vy, cy = pz * vx - px * vz, cz = px * vy - py * vx;
+    const cn = perp > 1e-9 ? perp * speed : Infinity;
+    const drag = k * cd * speed, lift = k * cl * speed * speed;
+    return {
+      x: -drag * vx + lift * cx / cn,
+      y: -drag * vy + lift * cy / cn,
+      z: -drag * vz + lift * cz / cn - GRAVITY
+    };
+  }
+
+  const release  = { x: Number(d.release_pos_x), y: MOUND_TO_PLATE - Number(d.release_extension), z: Number(d.release_pos_z) };
+  const velocity = releaseVelocity(d);
+
+  // RK4 on state [x, y, z, vx, vy, vz]
+  const samples = [[release.x, release.y, release.z, velocity.x, velocity.y, velocity.z]];
+  const deriv = (s) => { const a = accel(s[3], s[4], s[5]); return [s[3], s[4], s[5], a.x, a.y, a.z]; };
+  const add = (s, ds, h) => s.map((v, i) => v + ds[i] * h);
+  let s = samples[0];
+  const valid = s.every(Number.isFinite);
+  for (let t = 0; valid && t < MAX_FLIGHT_S && s[1] > -1; t += STEP_S) {
+    const k1 = deriv(s), k2 = deriv(add(s, k1, STEP_S / 2)), k3 = deriv(add(s, k2, STEP_S / 2)), k4 = deriv(add(s, k3, STEP_S));
+    s = s.map((v, i) => v + STEP_S / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+    samples.push(s);
+  }
+
+  function sampleAt(t, offset) {
+    if (!valid) return { x: NaN, y: NaN, z: NaN };
+    const f = Math.min(Math.max(t, 0) / STEP_S, samples.length - 1);
+    const i = Math.max(0, Math.min(Math.floor(f), samples.length - 2)), u = f - i;
+    const a = samples[i], b = samples[i + 1] || a;
+    const lerp = (j) => a[j] + (b[j] - a[j]) * u;
+    return { x: lerp(offset), y: lerp(offset + 1), z: lerp(offset + 2) };
+  }
+
+  const traj = {
+    model: 'physics',
+    release, velocity, env, efficiency: eff,
+
+    positionAt(t) { return sampleAt(t, 0); },
+    velocityAt(t) { return sampleAt(t, 3); },
+    scenePositionAt(t) { return toScene(traj.positionAt(t)); },
+
+    timeToY(y) {
+      for (let i = 1; i < samples.length; i++) {
+        const y0 = samples[i - 1][1], y1 = samples[i][1];
+        if (y0 >= y && y1 < y) return (i - 1 + (y0 - y) / (y0 - y1)) * STEP_S;
+      }
+      return NaN;
+    },
+    timeToPlate() { return traj.timeToY(PLATE_FRONT_Y); },
+    timeToScenePlate() { return traj.timeToY(0); },
+    plateLocation() { return plateLocationOf(traj); }
+  };
+  return traj;
+}
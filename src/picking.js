@@ -0,0 +1,111 @@
+import * as THREE from 'three';
+import { getRefs } from './scene.js';
+import { Bus } from './data.js';
+import { getBallsInfo, pickBall } from './balls.js';
+import { plateLocationOf } from './trajectory.js';
+import { fmt, metricsFromDatum } from './metrics.js';
+import { zoneOf } from './zones.js';
+import { getStrikeZone } from './strikezone.js';
+
+// Hover a ball (or its trail) for a tooltip; click/tap it to make it the metrics pitch.
+
+const CLICK_SLOP_PX = 5;   // more movement than this is an orbit drag, not a click
+
+const raycaster = new THREE.Raycaster();
+const ndc = new THREE.Vector2();
+let _tip = null;
+let _pointer = null;     // last pointer position over the canvas
+let _down = null;
+let _pending = false;
+
+function keyAt(x, y) {
+  const { camera, renderer } = getRefs();
+  const rect = renderer.domElement.getBoundingClientRect();
+  ndc.set(((x - rect.left) / rect.width) * 2 - 1, -((y - rect.top) / rect.height) * 2 + 1);
+  raycaster.setFromCamera(ndc, camera);
+  return pickBall(raycaster);
+}
+
+function tooltipRows(info) {
+  const d = info.datum || {};
+  const m = metricsFromDatum(d);
+  const loc = plateLocationOf(info.traj);
+  const zone = d.zone ?? zoneOf(loc.plate_x, loc.plate_z, getStrikeZone());
+  const rows = [
+    ['Velo', `${fmt(m.mph, 1)} mph`],
+    ['Spin', `${fmt(m.spin, 0)} rpm`],
+    ['IVB / HB', `${fmt(m.ivb, 1)} / ${fmt(m.hb, 1)} in`],
+    ['Plate', `x ${fmt(loc.plate_x, 2)} · z ${fmt(loc.plate_z, 2)} ft`],
+    ['Zone', zone ?? '--']
+  ];
+  if (info.owner) rows.unshift(['Pitcher', info.owner]);
+  return rows;
+}
+
+function renderTip(info) {
+  const d = info.datum || {};
+  _tip.innerHTML = '';
+  const title = document.createElement('div');
+  title.className = 'tip-title';
+  title.textContent = d.pitch_name ? `${d.pitch_name} · ${info.type}` : info.type;
+  _tip.appendChild(title);
+  for (const [label, value] of tooltipRows(info)) {
+    const row = document.createElement('div');
+    row.className = 'tip-row';
+    const l = document.createElement('span');
+    l.textContent = label;
+    const v = document.createElement('b');
+    v.textContent = value;
+    row.append(l, v);
+    _tip.appendChild(row);
+  }
+}
+
+function hover() {
+  _pending = false;
+  const canvas = getRefs().renderer.domElement;
+  const key = _pointer ? keyAt(_pointer.x, _pointer.y) : null;
+  const info = key && getBallsInfo().find(b => b.key === key);
+  canvas.style.cursor = info ? 'pointer' : '';
+  if (!info) { _tip.hidden = true; return; }
+  if (_tip.dataset.key !== key) { renderTip(info); _tip.dataset.key = key; }
+  _tip.style.left = `${_pointer.x + 14}px`;
+  _tip.style.top = `${_pointer.y + 14}px`;
+  _tip.hidden = false;
+}
+
+function scheduleHover() {
+  if (_pending) return;
+  _pending = true;
+  requestAnimationFrame(hover);
+}
+
+export function initPicking() {
+  const canvas = getRefs().renderer.domElement;
+  _tip = document.createElement('div');
+  _tip.id = 'pickTooltip';
+  _tip.className = 'panel';
+  _tip.hidden = true;
+  document.body.appendChild(_tip);
+
+  canvas.addEventListener('pointermove', (e) => {
+    _pointer = { x: e.clientX, y: e.clientY };
+    scheduleHover();
+  });
+  canvas.addEventListener('pointerleave', () => { _pointer = null; scheduleHover(); });
+  canvas.addEventListener('pointerdown', (e) => { _down = { x: e.clientX, y: e.clientY }; });
+  canvas.addEventListener('pointerup', (e) => {
+    if (!_down || Math.hypot(e.clientX - _down.x, e.clientY - _down.y) > CLICK_SLOP_PX) return;
+    _down = null;
+    const key = keyAt(e.clientX, e.clientY);
+    if (!key) return;
+    Bus.emit('pickBall', { key });
+    _pointer = { x: e.clientX, y: e.clientY };   // taps have no hover: show the tooltip too
+    scheduleHover();
+  });
+
+  // balls move under a still pointer, and their data changes with the flight model
+  Bus.on('playback', () => { if (_pointer) scheduleHover(); });
+  Bus.on('ballsChanged', () => { _tip.dataset.key = ''; scheduleHover(); });
+  Bus.on('flightModel', () => { _tip.dataset.key = ''; });
+}
@@ -0,0 +1,168 @@
+import { addBalls, clearBalls, ballKey } from './balls.js';
+import { COUNTS, DEFAULT_FILTERS, filterPitches, countOf, pitchKey } from './filters.js';
+import { buildSequenceControls } from './sequence.js';
+import { STRIKE_ZONES, CHASE_ZONES } from './zones.js';
+
+// Individual-pitch mode: filter a pitcher's pitches and fly every match at once.
+
+export const MAX_RENDERED = 1500;   // balls in flight at once
+const MAX_ROWS = 300;               // rows in the pitch list
+const ZONES = [...STRIKE_ZONES, ...CHASE_ZONES];
+
+let _filters = { ...DEFAULT_FILTERS };
+
+// plain-JSON copy of the active filters (for the share link) and its inverse
+export function getPitchFilters() {
+  const list = (set) => (set ? [...set] : null);
+  return { types: list(_filters.types), zones: list(_filters.zones), count: _filters.count };
+}
+
+export function setPitchFilters(f = {}) {
+  const set = (v) => (Array.isArray(v) ? new Set(v) : null);
+  _filters = {
+    ...DEFAULT_FILTERS,
+    types: set(f.types),
+    zones: set(f.zones),
+    count: f.count || DEFAULT_FILTERS.count
+  };
+}
+
+function outcomeOf(p) {
+  return String(p.events || p.description || p.type || '').replace(/_/g, ' ');
+}
+
+function describe(p) {
+  const batter = p.batter_name || (p.stand ? `${p.stand}HH` : 'batter') + (p.batter ? ` ${p.batter}` : '');
+  return [p.game_date, countOf(p), `vs ${batter}`, outcomeOf(p)].filter(Boolean).join(' · ');
+}
+
+function makeSelect(id, options, value) {
+  const sel = document.createElement('select');
+  sel.id = id;
+  for (const [v, text] of options) {
+    const opt = document.createElement('option');
+    opt.value = v; opt.textContent = text;
+    sel.appendChild(opt);
+  }
+  sel.value = value;
+  return sel;
+}
+
+function makeCheck(labelText, checked, onChange) {
+  const wrap = document.createElement('label');
+  wrap.className = 'chip';
+  const cb = document.createElement('input');
+  cb.type = 'checkbox'; cb.checked = checked;
+  cb.addEventListener('change', onChange);
+  wrap.appendChild(cb);
+  wrap.appendChild(document.createTextNode(labelText));
+  return { wrap, cb };
+}
+
+/** The pitches the list flies as balls for `pitches` under the current filters. */
+export function flyingPitches(pitches) {
+  return filterPitches(pitches, _filters).slice(0, MAX_RENDERED);
+}
+
+/**
+ * Render the filter UI + pitch list for one pitcher into `container`.
+ * onSelect(pitch, key) fires when a row is clicked; ballOpts (owner/tint) are passed to
+ * addBalls in compare mode.
+ */
+export function buildPitchList(container, pitches, { onSelect, ballOpts = {} } = {}) {
+  container.innerHTML = '';
+  const types = [...new Set(pitches.map(p => p.pitch_type))].filter(Boolean).sort();
+
+  // drop filter values this pitcher does not have
+  if (_filters.types) _filters.types = new Set(types.filter(t => _filters.types.has(t)));
+
+  const typeRow = document.createElement('div');
+  typeRow.className = 'chip-row';
+  const typeBoxes = types.map(t => {
+    const c = makeCheck(t, !_filters.types || _filters.types.has(t), () => {
+      const on = typeBoxes.filter(x => x.cb.checked).map(x => x.type);
+      _filters.types = on.length === types.length ? null : new Set(on);
+      apply();
+    });
+    c.type = t;
+    typeRow.appendChild(c.wrap);
+    return c;
+  });
+
+  const zoneRow = document.createElement('div');
+  zoneRow.className = 'chip-row zones';
+  const zoneBoxes = ZONES.map(z => {
+    const c = makeCheck(String(z), !_filters.zones || _filters.zones.has(z), () => {
+      const on = zoneBoxes.filter(x => x.cb.checked).map(x => x.zone);
+      _filters.zones = on.length === ZONES.length ? null : new Set(on);
+      apply();
+    });
+    c.zone = z;
+    zoneRow.appendChild(c.wrap);
+    return c;
+  });
+
+  // batter side is the matchup split above the list, which covers both modes
+  const countSel = makeSelect('countFilter', [['all', 'All counts'], ...COUNTS.map(c => [c, c])], _filters.count);
+  countSel.addEventListener('change', () => { _filters.count = countSel.value; apply(); });
+  const selRow = document.createElement('div');
+  selRow.className = 'field-row';
+  selRow.appendChild(countSel);
+
+  const summary = document.createElement('div');
+  summary.className = 'status-line';
+  const list = document.createElement('div');
+  list.className = 'pitch-list';
+
+  const heading = (text) => {
+    const h = document.createElement('div');
+    h.className = 'pitch-type-title';
+    h.textContent = text;
+    return h;
+  };
+  const group = document.createElement('div');
+  group.className = 'pitch-type-group';
+  group.append(heading('Pitch types'), typeRow, heading('Zones'), zoneRow, selRow, heading('Sequence'));
+  buildSequenceControls(group, pitches, {
+    shown: () => filterPitches(pitches, _filters),
+    onStop: () => apply(),
+    disabled: !!ballOpts.owner
+  });
+  group.append(summary, list);
+  container.appendChild(group);
+
+  function apply() {
+    const shown = filterPitches(pitches, _filters);
+    const flying = shown.slice(0, MAX_RENDERED);
+    clearBalls(ballOpts.owner ?? undefined);
+    addBalls(flying, pitchKey, ballOpts);
+
+    summary.textContent = `${shown.length} of ${pitches.length} pitches` +
+      (shown.length > flying.length ? ` (first ${flying.length} drawn)` : '');
+
+    list.innerHTML = '';
+    for (const p of shown.slice(0, MAX_ROWS)) {
+      const row = document.createElement('button');
+      row.className = 'pitch-row';
+      const type = document.createElement('b');
+      type.textContent = p.pitch_type;
+      const text = document.createElement('span');
+      text.textContent = describe(p);
+      row.append(type, text);
+      row.addEventListener('click', () => {
+        list.querySelectorAll('.pitch-row.active').forEach(r => r.classList.remove('active'));
+        row.classList.add('active');
+        onSelect?.(p, ballKey(pitchKey(p), ballOpts.owner));
+      });
+      list.appendChild(row);
+    }
+    if (shown.length > MAX_ROWS) {
+      const more = document.createElement('div');
+      more.className = 'status-line';
+      more.textContent = `…and ${shown.length - MAX_ROWS} more`;
+      list.appendChild(more);
+    }
+  }
+
+  apply();
+}
@@ -0,0 +1,75 @@
+import { Bus } from './data.js';
+
+// Playback clock shared by every ball: t is seconds since release, so all pitches stay
+// time-aligned. Wall-clock time only drives tick(); seeking/stepping set t directly.
+
+export const SPEEDS = [0.1, 0.25, 0.5, 1, 1.5, 2];
+export const FRAME_S = 1 / 60;
+const HOLD_S = 0.6;          // rest at the plate before looping
+const DEFAULT_DURATION = 0.45;
+
+const state = { t: 0, speed: 1, playing: true, loop: true, duration: DEFAULT_DURATION };
+
+function emit() { Bus.emit('playback', getPlayback()); }
+
+export function getPlayback() { return { ...state }; }
+export function getPlaybackTime() { return state.t; }
+
+// longest flight among the balls in the scene
+export function setDuration(seconds) {
+  state.duration = Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_DURATION;
+  if (state.t > state.duration) state.t = state.duration;
+}
+
+export function tick(dt) {
+  if (state.playing) {
+    state.t += dt * state.speed;
+    if (state.t > state.duration + HOLD_S) {
+      if (state.loop) {
+        state.t = 0;
+        Bus.emit('playbackLoop');
+      } else {
+        state.t = state.duration;
+        state.playing = false;
+        Bus.emit('playbackEnded');
+      }
+    }
+  }
+  emit();
+  return Math.min(state.t, state.duration);
+}
+
+export function seek(t) {
+  state.t = Math.min(Math.max(Number(t) || 0, 0), state.duration);
+  emit();
+}
+
+export function step(frames = 1) {
+  state.playing = false;
+  seek(Math.min(state.t, state.duration) + frames * FRAME_S);
+}
+
+export function restart() {
+  state.t = 0;
+  state.playing = true;
+  emit();
+}
+
+// accepts a boolean or an updater fn (prev => next), like the old main.js flag
+export function setPlaying(updateFnOrBool) {
+  state.playing = typeof updateFnOrBool === 'function' ? !!updateFnOrBool(state.playing) : !!updateFnOrBool;
+  if (state.playing && state.t >= state.duration) state.t = 0;
+  emit();
+  return state.playing;
+}
+
+export function setSpeed(speed) {
+  const s = Number(speed);
+  state.speed = Number.isFinite(s) ? Math.min(2, Math.max(0.1, s)) : 1;
+  emit();
+}
+
+export function setLoop(on) {
+  state.loop = !!on;
+  emit();
+}
@@ -0,0 +1,257 @@
+import { Bus, getPitchList, getZoneAverages } from './data.js';
+import { addBall, clearBalls, setBallCutoff, setBallsBlind } from './balls.js';
+import { getPlayback, setLoop, setSpeed, setPlaying } from './playback.js';
+import { goToView } from './camera.js';
+import { createTrajectory, plateLocationOf } from './trajectory.js';
+import { zoneOf, STRIKE_ZONES } from './zones.js';
+import { getStrikeZone, setCrossingFillsVisible } from './strikezone.js';
+import { isComparing } from './compare.js';
+import { downloadBlob } from './export.js';
+import { OUT_OF_ZONE, scoreTrial, sessionSummary, trialsToCsv } from './reaction.js';
+import { fmt } from './metrics.js';
+import { metricsTable } from './metriccards.js';
+
+// Recognition quiz from the hitter's eye: a random pitch from the loaded arsenal, hidden
+// a set time after release; the hitter calls type + location by key or click.
+// Keys: 1-9 pitch type (in button order), Q W E / A S D / Z X C zones 1-9 as seen from
+// behind the plate, O out of the zone, Enter next pitch.
+
+export const CUTOFFS_MS = [100, 150, 200, 250, 300, 400];
+const DEFAULT_CUTOFF_MS = 150;
+const ZONE_KEYS = { KeyQ: 1, KeyW: 2, KeyE: 3, KeyA: 4, KeyS: 5, KeyD: 6, KeyZ: 7, KeyX: 8, KeyC: 9, KeyO: OUT_OF_ZONE };
+const QUIZ_KEY = 'quiz';      // every quiz ball looks the same: no pitch-type colour to read
+
+let _on = false;
+let _els = null;
+let _arsenal = [];            // [{ datum, type, zone, id }]
+let _pitcher = null;
+let _types = [];
+let _trial = null;            // { pitch, start, guessType, guessZone, done }
+let _trials = [];
+let _saved = null;            // playback settings to put back afterwards
+
+const isTyping = (e) => e.target?.matches?.('input, select, textarea');
+
+// each choice of the loaded pitcher: individual pitches when present, else zone averages
+function buildArsenal(pitcherData) {
+  const list = getPitchList(pitcherData);
+  const zoneFor = (d, fallback) => {
+    const z = Number(d.zone ?? fallback);
+    if (Number.isFinite(z)) return z;
+    const loc = plateLocationOf(createTrajectory(d));
+    return zoneOf(loc.plate_x, loc.plate_z, getStrikeZone());
+  };
+  const src = list.length
+    ? list.map(d => ({ datum: d, type: d.pitch_type, zone: zoneFor(d), id: d.id }))
+    : Object.entries(getZoneAverages(pitcherData)).map(([key, d]) => {
+      const [type, zone] = key.split(' ');
+      return { datum: d, type, zone: zoneFor(d, zone), id: key };
+    });
+  return src.filter(p => p.type && p.zone !== null && p.zone !== undefined);
+}
+
+function button(text, onClick, cls = 'icon-btn') {
+  const b = document.createElement('button');
+  b.className = cls;
+  b.textContent = text;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+function buildPanel(panel) {
+  panel.innerHTML = `
+    <div class="quiz-head"><b>Recognition Quiz</b><span class="status-line" id="quizNote"></span></div>
+    <div class="field-row">
+      <label>Hide after<select id="quizCutoff"></select></label>
+      <label>Batter<select id="quizSide">
+        <option value="auto">As pitched</option><option value="R">Right</option><option value="L">Left</option>
+      </select></label>
+    </div>
+    <div class="quiz-label">Pitch type</div>
+    <div class="chip-row" id="quizTypes"></div>
+    <div class="quiz-label">Location</div>
+    <div class="quiz-zones" id="quizZones"></div>
+    <div class="quiz-feedback" id="quizFeedback">Press Enter or Next to throw a pitch</div>
+    <div class="field-row">
+      <button id="quizNext">Next pitch ⏎</button>
+      <button id="quizReset">New session</button>
+    </div>
+    <div class="quiz-score" id="quizScore"></div>
+    <div class="field-row">
+      <button id="quizJson">Export JSON</button>
+      <button id="quizCsv">Export CSV</button>
+    </div>`;
+  const $ = (id) => panel.querySelector(`#${id}`);
+  const els = {
+    panel, note: $('quizNote'), cutoff: $('quizCutoff'), side: $('quizSide'), types: $('quizTypes'), zones: $('quizZones'),
+    feedback: $('quizFeedback'), next: $('quizNext'), reset: $('quizReset'), score: $('quizScore'), json: $('quizJson'), csv: $('quizCsv')
+  };
+  for (const [v, text] of [['', 'Never'], ...CUTOFFS_MS.map(ms => [ms, `${ms} ms`])]) {
+    const opt = document.createElement('option');
+    opt.value = v; opt.textContent = text;
+    els.cutoff.appendChild(opt);
+  }
+  els.cutoff.value = String(DEFAULT_CUTOFF_MS);
+
+  // zones 1-9 laid out as seen from behind the plate, then "out of the zone"
+  for (const z of STRIKE_ZONES) els.zones.appendChild(button(String(z), () => answer({ zone: z }), 'quiz-zone'));
+  const out = button('Out of zone', () => answer({ zone: OUT_OF_ZONE }), 'quiz-zone out');
+  els.zones.appendChild(out);
+  return els;
+}
+
+function renderTypes() {
+  _els.types.innerHTML = '';
+  _types.forEach((type, i) => {
+    const b = button(`${i < 9 ? `${i + 1} ` : ''}${type}`, () => answer({ type }), 'chip quiz-type');
+    b.dataset.type = type;
+    _els.types.appendChild(b);
+  });
+}
+
+function markAnswers() {
+  for (const b of _els.types.children) b.classList.toggle('active', _trial?.guessType === b.dataset.type);
+  for (const b of _els.zones.children) {
+    const v = b.classList.contains('out') ? OUT_OF_ZONE : Number(b.textContent);
+    b.classList.toggle('active', _trial?.guessZone === v);
+  }
+}
+
+function renderScore() {
+  const s = sessionSummary(_trials);
+  if (!s.n) { _els.score.textContent = ''; return; }
+  const rows = Object.entries(s.byType).map(([type, t]) =>
+    [type, String(t.n), `${fmt(t.typePct, 0)}%`, `${fmt(t.zonePct, 0)}%`, fmt(t.medianRtMs, 0)]);
+  const line = (text) => {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div;
+  };
+  _els.score.replaceChildren(
+    line(`${s.n} pitches · type ${fmt(s.typePct, 0)}% · location ${fmt(s.zonePct, 0)}% · both ${fmt(s.bothPct, 0)}%`),
+    line(`reaction ${fmt(s.meanRtMs, 0)} ms mean · ${fmt(s.medianRtMs, 0)} ms median`),
+    metricsTable(['Type', 'n', 'Type', 'Loc', 'RT ms'], rows));
+}
+
+function cutoffSeconds() {
+  const ms = Number(_els.cutoff.value);
+  return _els.cutoff.value && ms > 0 ? ms / 1000 : null;
+}
+
+export function nextPitch() {
+  if (!_on || !_arsenal.length || isComparing()) return;
+  const pitch = _arsenal[Math.floor(Math.random() * _arsenal.length)];
+  const side = _els.side.value === 'auto' ? (pitch.datum.stand === 'L' ? 'L' : 'R') : _els.side.value;
+
+  setCrossingFillsVisible(false);
+  setBallCutoff(cutoffSeconds());
+  setSpeed(1);                    // reaction times are only meaningful in real time
+  setLoop(false);
+  goToView(side === 'L' ? 'lhh' : 'rhh', 0);
+  clearBalls();
+  addBall(pitch.datum, QUIZ_KEY);   // (re)starts playback from release
+  setPlaying(true);
+  _trial = { pitch, start: performance.now(), guessType: null, guessZone: null, done: false };
+  _els.feedback.textContent = 'Type? Location?';
+  markAnswers();
+}
+
+function answer({ type, zone }) {
+  if (!_trial || _trial.done) return;
+  if (type !== undefined) _trial.guessType = type;
+  if (zone !== undefined) _trial.guessZone = zone;
+  markAnswers();
+  if (_trial.guessType === null || _trial.guessZone === null) return;
+
+  const rtMs = performance.now() - _trial.start;
+  const { pitch } = _trial;
+  const scored = scoreTrial({
+    n: _trials.length + 1, at: new Date().toISOString(), pitcher: _pitcher, pitchId: pitch.id,
+    type: pitch.type, zone: pitch.zone, guessType: _trial.guessType, guessZone: _trial.guessZone,
+    rtMs: Math.round(rtMs), cutoffMs: cutoffSeconds() === null ? null : Math.round(cutoffSeconds() * 1000)
+  });
+  _trials.push(scored);
+  _trial.done = true;
+
+  // reveal: the whole flight, and the zone it crossed
+  setBallCutoff(null);
+  setCrossingFillsVisible(true);
+  clearBalls();
+  addBall(pitch.datum, pitch.type);
+  _els.feedback.textContent = `${scored.typeOk ? '✓' : '✗'} ${pitch.type}${scored.typeOk ? '' : ` (you said ${scored.guessType})`} · ` +
+    `${scored.zoneOk ? '✓' : '✗'} zone ${pitch.zone}${scored.zoneOk ? '' : ` (you said ${scored.guessZone})`} · ${scored.rtMs} ms`;
+  renderScore();
+}
+
+function exportName(ext) {
+  const who = (_pitcher || 'session').replace(/[^\w.-]+/g, '_');
+  return `quiz-${who}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+function setArsenal(pitcher, data) {
+  _pitcher = pitcher;
+  _arsenal = buildArsenal(data);
+  _types = [...new Set(_arsenal.map(p => p.type))].sort();
+  _trial = null;
+  if (_els) {
+    renderTypes();
+    _els.note.textContent = _pitcher ? `${_pitcher} · ${_types.length} pitch types` : '';
+  }
+}
+
+export function setQuizEnabled(on) {
+  if (!!on === _on) return;
+  _on = !!on;
+  _els.panel.hidden = !_on;
+  setBallsBlind(_on);   // the metrics cards and hover tooltip would give the pitch away
+  if (_on) {
+    const s = getPlayback();
+    _saved = { speed: s.speed, loop: s.loop };
+    _els.next.disabled = isComparing();
+    _els.feedback.textContent = isComparing()
+      ? 'Turn off Compare Pitchers to run the quiz'
+      : 'Press Enter or Next to throw a pitch';
+    return;
+  }
+  // back to the normal scene for the selected pitcher
+  _trial = null;
+  setBallCutoff(null);
+  setCrossingFillsVisible(true);
+  if (_saved) { setSpeed(_saved.speed); setLoop(_saved.loop); }
+  clearBalls();
+  document.getElementById('pitcherSelect')?.dispatchEvent(new Event('change'));
+}
+
+export function initQuiz() {
+  const toggle = document.getElementById('quizToggle');
+  _els = buildPanel(document.getElementById('quizPanel'));
+  _els.panel.hidden = true;
+
+  toggle.addEventListener('change', () => setQuizEnabled(toggle.checked));
+  _els.next.addEventListener('click', nextPitch);
+  _els.reset.addEventListener('click', () => {
+    _trials = [];
+    renderScore();
+    _els.feedback.textContent = 'New session · press Enter or Next';
+  });
+  _els.json.addEventListener('click', () => {
+    const body = { pitcher: _pitcher, exported: new Date().toISOString(), summary: sessionSummary(_trials), trials: _trials };
+    downloadBlob(new Blob([JSON.stringify(body, null, 2)], { type: 'application/json' }), exportName('json'));
+  });
+  _els.csv.addEventListener('click', () => {
+    downloadBlob(new Blob([trialsToCsv(_trials)], { type: 'text/csv' }), exportName('csv'));
+  });
+
+  Bus.on('pitcherData', ({ pitcher, data }) => setArsenal(pitcher, data));
+
+  window.addEventListener('keydown', (e) => {
+    if (!_on || isTyping(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.code === 'Enter') {
+      if (e.target?.tagName === 'BUTTON') return;   // the focused button's own click handles it
+      e.preventDefault(); nextPitch(); return;
+    }
+    if (e.code in ZONE_KEYS) { e.preventDefault(); answer({ zone: ZONE_KEYS[e.code] }); return; }
+    const digit = /^Digit([1-9])$/.exec(e.code);
+    if (digit && _types[digit[1] - 1]) { e.preventDefault(); answer({ type: _types[digit[1] - 1] }); }
+  });
+}
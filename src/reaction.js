@@ -0,0 +1,61 @@
+// Pitch-recognition quiz scoring (pure, no DOM): per-trial grading, session summary and
+// CSV export. A trial is { n, pitcher, pitchId, type, zone, guessType, guessZone, rtMs,
+// cutoffMs, at }; zones are Statcast ids, and any chase zone (11-14) is answered as 'O'.
+
+export const OUT_OF_ZONE = 'O';
+
+// what a correct location answer looks like for a Statcast zone
+export function locationAnswer(zone) {
+  return Number(zone) >= 11 ? OUT_OF_ZONE : Number(zone);
+}
+
+export function scoreTrial(trial) {
+  const typeOk = trial.guessType === trial.type;
+  const zoneOk = trial.guessZone !== null && trial.guessZone !== undefined &&
+    String(trial.guessZone) === String(locationAnswer(trial.zone));
+  return { ...trial, typeOk, zoneOk };
+}
+
+const pct = (k, n) => (n ? (100 * k) / n : NaN);
+
+function median(values) {
+  if (!values.length) return NaN;
+  const s = [...values].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+/** Accuracy (%) and reaction times (ms) over scored trials, overall and by actual type. */
+export function sessionSummary(trials) {
+  const summarize = (list) => {
+    const rts = list.map(t => t.rtMs).filter(Number.isFinite);
+    return {
+      n: list.length,
+      typePct: pct(list.filter(t => t.typeOk).length, list.length),
+      zonePct: pct(list.filter(t => t.zoneOk).length, list.length),
+      bothPct: pct(list.filter(t => t.typeOk && t.zoneOk).length, list.length),
+      meanRtMs: rts.length ? rts.reduce((a, b) => a + b, 0) / rts.length : NaN,
+      medianRtMs: median(rts)
+    };
+  };
+  const byType = {};
+  for (const type of new Set(trials.map(t => t.type))) byType[type] = summarize(trials.filter(t => t.type === type));
+  return { ...summarize(trials), byType };
+}
+
+export const CSV_COLUMNS = [
+  'n', 'at', 'pitcher', 'pitchId', 'type', 'zone', 'guessType', 'guessZone',
+  'typeOk', 'zoneOk', 'rtMs', 'cutoffMs'
+];
+
+function csvCell(v) {
+  if (v === null || v === undefined || (typeof v === 'number' && !Number.isFinite(v))) return '';
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function trialsToCsv(trials) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const t of trials) lines.push(CSV_COLUMNS.map(c => csvCell(t[c])).join(','));
+  return `${lines.join('\n')}\n`;
+}
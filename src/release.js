@@ -0,0 +1,81 @@
+// Release-point statistics and a simple body model for the arm slot (pure, no DOM).
+// Points are Statcast frame feet: x = release side, y = distance from the plate, z = height.
+import { MOUND_TO_PLATE } from './trajectory.js';
+
+// body proportions as fractions of standing height, taken at release (stride lowers the shoulders)
+export const BODY = {
+  shoulderZ: 0.70,     // throwing shoulder height at release
+  shoulderX: 0.12,     // half shoulder width
+  reach: 0.44,         // shoulder to fingertips, arm extended
+  hipZ: 0.45,
+  headZ: 0.83,
+  stride: 0.8          // stride length
+};
+export const DEFAULT_HEIGHT_FT = 6.25;
+
+/** Mean, spread and 1σ ellipse (x/z) for a set of release points. */
+export function releaseStats(points) {
+  const n = points.length;
+  if (!n) return null;
+  const mean = { x: 0, y: 0, z: 0 };
+  for (const p of points) { mean.x += p.x / n; mean.y += p.y / n; mean.z += p.z / n; }
+  let xx = 0, zz = 0, xz = 0, yy = 0;
+  for (const p of points) {
+    const dx = p.x - mean.x, dz = p.z - mean.z, dy = p.y - mean.y;
+    xx += dx * dx; zz += dz * dz; xz += dx * dz; yy += dy * dy;
+  }
+  const k = n > 1 ? 1 / (n - 1) : 0;
+  const cov = { xx: xx * k, zz: zz * k, xz: xz * k };
+  return {
+    n, mean, cov,
+    sd: { x: Math.sqrt(cov.xx), z: Math.sqrt(cov.zz), ext: Math.sqrt(yy * k) },
+    extension: MOUND_TO_PLATE - mean.y,
+    ellipse: ellipseAxes(cov)
+  };
+}
+
+// principal 1σ semi-axes of a 2×2 covariance; angle is from +x toward +z (radians)
+export function ellipseAxes({ xx, zz, xz }) {
+  const tr = (xx + zz) / 2;
+  const det = Math.sqrt(Math.max(0, ((xx - zz) / 2) ** 2 + xz * xz));
+  return {
+    a: Math.sqrt(Math.max(0, tr + det)),
+    b: Math.sqrt(Math.max(0, tr - det)),
+    angle: 0.5 * Math.atan2(2 * xz, xx - zz)
+  };
+}
+
+// arm side from handedness, else from which side of the rubber the ball leaves
+export function armSide(release, throws) {
+  if (throws === 'R') return -1;     // catcher's view: a righty releases on the third-base side
+  if (throws === 'L') return 1;
+  return release.x < 0 ? -1 : 1;
+}
+
+/**
+ * Standing height whose extended arm reaches the release point from the body model's
+ * shoulder. Bisection on [4.5, 8] ft; the default height when no body fits.
+ */
+export function estimateHeight(release, throws) {
+  const side = armSide(release, throws);
+  const miss = (h) => Math.hypot(side * release.x - BODY.shoulderX * h, release.z - BODY.shoulderZ * h) - BODY.reach * h;
+  let lo = 4.5, hi = 8;
+  if (miss(lo) < 0 || miss(hi) > 0) return DEFAULT_HEIGHT_FT;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (miss(mid) > 0) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Arm slot: angle of the shoulder→hand line above horizontal (90° over the top,
+ * 0° sidearm, negative submarine).
+ */
+export function armSlot(release, { throws, heightFt } = {}) {
+  const h = heightFt || estimateHeight(release, throws);
+  const side = armSide(release, throws);
+  const shoulder = { x: side * BODY.shoulderX * h, z: BODY.shoulderZ * h };
+  const deg = Math.atan2(release.z - shoulder.z, Math.abs(release.x - shoulder.x)) * 180 / Math.PI;
+  return { deg, heightFt: h, shoulder, side };
+}
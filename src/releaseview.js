@@ -0,0 +1,190 @@
+import * as THREE from 'three';
+import { getRefs } from './scene.js';
+import { Bus } from './data.js';
+import { getBallsInfo, isBallsBlind } from './balls.js';
+import { toScene, MOUND_TO_PLATE } from './trajectory.js';
+import { BODY, releaseStats, armSlot } from './release.js';
+import { registerUrlState } from './urlstate.js';
+
+// Release view: every shown pitch's release point as a cloud by the rubber, per-type
+// centroids with 2σ spread ellipses, extension marks on the mound, and a stick pitcher
+// sized so the throwing arm reaches the release centroid.
+
+const ELLIPSE_SIGMA = 2;
+const ELLIPSE_SEGMENTS = 48;
+const MOUND_Z = 10 / 12;       // rubber height above the field
+
+const POINT_GEOMETRY = new THREE.SphereGeometry(0.035, 8, 6);
+const CENTROID_GEOMETRY = new THREE.SphereGeometry(0.07, 16, 12);
+const FIGURE_MATERIAL = new THREE.LineBasicMaterial({ color: 0xf2f2f2, transparent: true, opacity: 0.55 });
+
+let _on = false;
+let _group = null;
+let _pending = false;
+
+const baseType = (info) => info.datum?.pitch_type || String(info.type).split(' ')[0];
+
+function sceneVec({ x, y, z }) {
+  const p = toScene({ x, y, z });
+  return new THREE.Vector3(p.x, p.y, p.z);
+}
+
+function disposeGroup() {
+  if (!_group) return;
+  getRefs().scene.remove(_group);
+  _group.traverse(o => {
+    if ((o.isLine || o.isMesh) && o.geometry !== POINT_GEOMETRY && o.geometry !== CENTROID_GEOMETRY) o.geometry.dispose();
+    if ((o.isLine || o.isMesh) && o.material !== FIGURE_MATERIAL) o.material.dispose();
+  });
+  _group = null;
+}
+
+// group by pitcher (compare mode) and pitch type
+function groupReleases(infos) {
+  const groups = new Map();
+  for (const info of infos) {
+    const type = baseType(info);
+    const id = `${info.owner || ''}|${type}`;
+    if (!groups.has(id)) groups.set(id, { owner: info.owner || null, type, color: info.color, throws: info.datum?.p_throws, points: [] });
+    groups.get(id).points.push(info.traj.release);
+  }
+  return [...groups.values()];
+}
+
+function cloud(infos) {
+  const mesh = new THREE.InstancedMesh(POINT_GEOMETRY, new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.8 }), infos.length);
+  const m = new THREE.Matrix4();
+  const c = new THREE.Color();
+  infos.forEach((info, i) => {
+    mesh.setMatrixAt(i, m.makeTranslation(...sceneVec(info.traj.release).toArray()));
+    mesh.setColorAt(i, c.setHex(info.color));
+  });
+  return mesh;
+}
+
+// ellipse in the release (x/z) plane at the centroid's distance
+function ellipse({ mean, ellipse: e }, color) {
+  const pts = [];
+  for (let i = 0; i < ELLIPSE_SEGMENTS; i++) {
+    const th = (i / ELLIPSE_SEGMENTS) * Math.PI * 2;
+    const u = Math.cos(th) * e.a * ELLIPSE_SIGMA, v = Math.sin(th) * e.b * ELLIPSE_SIGMA;
+    pts.push(sceneVec({
+      x: mean.x + u * Math.cos(e.angle) - v * Math.sin(e.angle),
+      y: mean.y,
+      z: mean.z + u * Math.sin(e.angle) + v * Math.cos(e.angle)
+    }));
+  }
+  return new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(pts), new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.8 }));
+}
+
+// tick on the mound under the centroid, plus a drop line from the release point
+function extensionMark({ mean }, color) {
+  const ground = { x: mean.x, y: mean.y, z: MOUND_Z };
+  const pts = [
+    sceneVec({ ...ground, x: mean.x - 0.25 }), sceneVec({ ...ground, x: mean.x + 0.25 }),
+    sceneVec(ground), sceneVec(mean)
+  ];
+  return new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(pts), new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.5 }));
+}
+
+/**
+ * Stick figure in Statcast feet: pivot foot on the rubber, stride toward the plate,
+ * throwing arm from the body model's shoulder to the release point.
+ */
+function silhouette(release, slot) {
+  const h = slot.heightFt, s = slot.side;
+  const y = release.y + 0.6;                   // torso sits a little behind the hand
+  const at = (x, z, dy = 0) => sceneVec({ x, y: y + dy, z });
+  const shoulderR = at(slot.shoulder.x, slot.shoulder.z);
+  const shoulderL = at(-s * BODY.shoulderX * h, BODY.shoulderZ * h);
+  const neck = at(0, BODY.shoulderZ * h);
+  const hip = at(0, BODY.hipZ * h);
+  const stride = MOUND_TO_PLATE - BODY.stride * h;
+  const frontKnee = sceneVec({ x: -s * 0.1 * h, y: (y + stride) / 2, z: 0.28 * h });
+  const frontFoot = sceneVec({ x: -s * 0.1 * h, y: stride, z: MOUND_Z * 0.6 });
+  const backFoot = sceneVec({ x: s * 0.1 * h, y: MOUND_TO_PLATE, z: MOUND_Z });
+  const glove = at(-s * 0.22 * h, 0.55 * h, -0.3);
+
+  const pts = [
+    shoulderL, shoulderR, neck, hip,
+    shoulderR, sceneVec(release), shoulderL, glove,
+    hip, frontKnee, frontKnee, frontFoot, hip, backFoot
+  ];
+  // head: a ring facing the plate
+  const head = at(0, BODY.headZ * h), r = 0.06 * h;
+  for (let i = 0; i < 16; i++) {
+    const a0 = (i / 16) * Math.PI * 2, a1 = ((i + 1) / 16) * Math.PI * 2;
+    pts.push(head.clone().add(new THREE.Vector3(Math.cos(a0) * r, Math.sin(a0) * r, 0)),
+      head.clone().add(new THREE.Vector3(Math.cos(a1) * r, Math.sin(a1) * r, 0)));
+  }
+  return new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(pts), FIGURE_MATERIAL);
+}
+
+function rebuild() {
+  _pending = false;
+  disposeGroup();
+  if (!_on) { Bus.emit('releaseStats', null); return; }
+
+  // the quiz ball's release and type would give the answer away
+  const infos = isBallsBlind() ? [] : getBallsInfo().filter(b => b.traj?.release && Number.isFinite(b.traj.release.z));
+  const groups = groupReleases(infos).map(g => ({ ...g, stats: releaseStats(g.points) }));
+  _group = new THREE.Group();
+  if (infos.length) _group.add(cloud(infos));
+
+  for (const g of groups) {
+    const centroid = new THREE.Mesh(CENTROID_GEOMETRY, new THREE.MeshBasicMaterial({ color: g.color }));
+    centroid.position.copy(sceneVec(g.stats.mean));
+    _group.add(centroid, extensionMark(g.stats, g.color));
+    if (g.stats.n > 2) _group.add(ellipse(g.stats, g.color));
+    g.slot = armSlot(g.stats.mean, { throws: g.throws });
+  }
+
+  // one figure per pitcher, reaching to their overall release centroid
+  const owners = new Map();
+  for (const info of infos) {
+    const id = info.owner || '';
+    if (!owners.has(id)) owners.set(id, { throws: info.datum?.p_throws, points: [] });
+    owners.get(id).points.push(info.traj.release);
+  }
+  for (const { throws, points } of owners.values()) {
+    const { mean } = releaseStats(points);
+    _group.add(silhouette(mean, armSlot(mean, { throws })));
+  }
+
+  getRefs().scene.add(_group);
+  Bus.emit('releaseStats', {
+    rows: groups.map(g => ({
+      type: g.type, owner: g.owner, color: g.color, n: g.stats.n,
+      height: g.stats.mean.z, side: g.stats.mean.x, extension: g.stats.extension,
+      spreadIn: ELLIPSE_SIGMA * Math.hypot(g.stats.sd.x, g.stats.sd.z) * 12,   // same σ as the ellipses
+      slot: g.slot.deg
+    }))
+  });
+}
+
+function schedule() {
+  if (_pending) return;
+  _pending = true;
+  requestAnimationFrame(rebuild);
+}
+
+export function setReleaseVisible(on) {
+  _on = !!on;
+  schedule();
+}
+
+export function initReleaseView() {
+  const toggle = document.getElementById('releaseToggle');
+  toggle.addEventListener('change', () => setReleaseVisible(toggle.checked));
+
+  Bus.on('ballsChanged', () => { if (_on) schedule(); });
+  Bus.on('flightModel', () => { if (_on) schedule(); });
+
+  registerUrlState('rel', {
+    get: () => (_on ? 1 : undefined),
+    set: (on) => {
+      toggle.checked = !!on;
+      setReleaseVisible(!!on);
+    }
+  });
+}
@@ -2,7 +2,7 @@ import * as THREE from 'three';
 import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
 import { createTurfMaterial } from './turf.js';
 
-let scene, camera, renderer;
+let scene, camera, renderer, lights;
 const clock = new THREE.Clock();
 
 export function initScene() {
@@ -45,6 +45,7 @@ export function initScene() {
   const plateLight = new THREE.PointLight(0xffffff, 0.75, 120);
   plateLight.position.set(0, 3.0, -60.5);
   scene.add(plateLight);
+  lights = { key, fill, plate: plateLight };   // ballpark.js restyles these for day / night
 
   // Ground — solid, darker turf
   const ground = new THREE.Mesh(
@@ -73,20 +74,16 @@ export function initScene() {
   rubber.castShadow = true; rubber.receiveShadow = true;
   scene.add(rubber);
 
-  // Strike zone
-  const zone = new THREE.LineSegments(
-    new THREE.EdgesGeometry(new THREE.PlaneGeometry(1.42, 2.0)),
-    new THREE.LineBasicMaterial({ color: 0xf2f2f2, transparent:true, opacity:0.9 })
-  );
-  zone.position.set(0, 2.35, -60.5);
-  scene.add(zone);
-
-  // Plate
+  // Plate — regulation 17 in pentagon, back tip at z = -60.5, front edge toward the mound
+  // (the strike zone itself lives in strikezone.js)
+  const hw = 17 / 24, side = 8.5 / 12, front = 17 / 12;
   const shape = new THREE.Shape();
-  shape.moveTo(-0.85,0); shape.lineTo(0.85,0); shape.lineTo(0.85,0.5);
-  shape.lineTo(0,1.0);   shape.lineTo(-0.85,0.5); shape.lineTo(-0.85,0);
+  shape.moveTo(-hw, -front); shape.lineTo(hw, -front); shape.lineTo(hw, -side);
+  shape.lineTo(0, 0);        shape.lineTo(-hw, -side); shape.lineTo(-hw, -front);
   const plate = new THREE.Mesh(new THREE.ShapeGeometry(shape),
-    new THREE.MeshPhysicalMaterial({ color: 0xffffff, roughness: 0.6, clearcoat: 0.2 })
+    // offset so it stays on top of the ballpark's dirt and chalk layers (ballpark.js)
+    new THREE.MeshPhysicalMaterial({ color: 0xffffff, roughness: 0.6, clearcoat: 0.2,
+      polygonOffset: true, polygonOffsetFactor: -8, polygonOffsetUnits: -8 })
   );
   plate.rotation.x = -Math.PI / 2;
   plate.position.set(0, 0.011, -60.5);
@@ -102,15 +99,22 @@ export function initScene() {
   return { scene, camera, renderer, clock };
 }
 
+// Built-in views: camera position and the point it looks at (scene feet).
+export const CAMERA_PRESETS = {
+  catcher: { position: [0, 2.6, -65],   target: [0, 2.5, 0] },
+  pitcher: { position: [0, 6.2, 5.5],   target: [0, 2, -60.5] },
+  rhh:     { position: [1.2, 4.1, -65], target: [0, 1.5, 0] },
+  lhh:     { position: [-1.2, 4.1, -65], target: [0, 1.5, 0] },
+  '1b':    { position: [50, 4.8, -30],  target: [0, 5, -30] },
+  '3b':    { position: [-50, 4.8, -30], target: [0, 5, -30] }
+};
+
+// instant snap; camera.js animates between these
 export function setCameraView(view) {
-  switch(view) {
-    case 'catcher':  camera.position.set(0, 2.6, -65); camera.lookAt(0, 2.5, 0); break;
-    case 'pitcher':  camera.position.set(0, 6.2, 5.5); camera.lookAt(0, 2, -60.5); break;
-    case 'rhh':      camera.position.set(1.2, 4.1, -65); camera.lookAt(0, 1.5, 0); break;
-    case 'lhh':      camera.position.set(-1.2, 4.1, -65); camera.lookAt(0, 1.5, 0); break;
-    case '1b':       camera.position.set(50, 4.8, -30); camera.lookAt(0, 5, -30); break;
-    case '3b':       camera.position.set(-50, 4.8, -30); camera.lookAt(0, 5, -30); break;
-  }
+  const preset = CAMERA_PRESETS[view];
+  if (!preset) return;
+  camera.position.set(...preset.position);
+  camera.lookAt(...preset.target);
 }
 
-export function getRefs(){ return { scene, camera, renderer, clock }; }
+export function getRefs(){ return { scene, camera, renderer, clock, lights }; }
@@ -0,0 +1,75 @@
+// Pitch dataset validation (pure, no DOM). Every pitch must carry a finite release point
+// and constant-acceleration fit; anything else would fly from the origin or as NaN.
+// Shape: data[team][pitcher] = { "TYPE zone": datum, pitches: [record] } (see data.js).
+
+export const KINEMATIC_FIELDS = [
+  'release_pos_x', 'release_pos_z', 'release_extension',
+  'vx0', 'vy0', 'vz0', 'ax', 'ay', 'az'
+];
+
+const LIST_KEY = 'pitches';   // PITCH_LIST_KEY in data.js, which imports this module
+const META_KEY = '_meta';     // DATASET_META_KEY in data.js: version info, not a team
+
+function describe(v) {
+  if (v === undefined) return 'missing';
+  if (v === null || v === '') return 'empty';
+  if (typeof v === 'number') return String(v);   // NaN / Infinity
+  return `not a number (${JSON.stringify(v).slice(0, 20)})`;
+}
+
+/** Readable issues for one datum or pitch record; empty when it can be flown. */
+export function pitchIssues(d) {
+  if (!d || typeof d !== 'object' || Array.isArray(d)) return ['not an object'];
+  const issues = [];
+  for (const f of KINEMATIC_FIELDS) {
+    const v = d[f];
+    if (typeof v !== 'number' || !Number.isFinite(v)) issues.push(`${f} ${describe(v)}`);
+  }
+  // the ball has to travel toward the plate to ever get there
+  if (!issues.length && !(d.vy0 < 0)) issues.push(`vy0 must be negative (got ${d.vy0})`);
+  return issues;
+}
+
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Check a whole dataset. Returns a copy without the bad pitches, plus one problem per
+ * excluded pitch ({ team, pitcher, key, issues }) and the number of pitches checked.
+ * Pitchers and teams left with nothing to show are dropped too.
+ */
+export function validatePitchData(raw) {
+  if (!isObject(raw)) throw new Error('expected an object of teams → pitchers → pitches');
+  const data = {};
+  const problems = [];
+  let total = 0;
+
+  for (const [team, pitchers] of Object.entries(raw)) {
+    if (team === META_KEY) continue;
+    if (!isObject(pitchers)) { problems.push({ team, pitcher: null, key: null, issues: ['team entry is not an object'] }); continue; }
+    for (const [pitcher, pd] of Object.entries(pitchers)) {
+      if (!isObject(pd)) { problems.push({ team, pitcher, key: null, issues: ['pitcher entry is not an object'] }); continue; }
+      const clean = {};
+      let kept = 0;
+      for (const [key, d] of Object.entries(pd)) {
+        if (key === LIST_KEY) {
+          if (!Array.isArray(d)) { problems.push({ team, pitcher, key, issues: ['pitch list is not an array'] }); continue; }
+          clean[key] = d.filter((p, i) => {
+            total++;
+            const issues = pitchIssues(p);
+            if (issues.length) problems.push({ team, pitcher, key: `${p?.pitch_type ?? '?'} #${p?.id ?? i}`, issues });
+            return !issues.length;
+          });
+          kept += clean[key].length;
+          continue;
+        }
+        total++;
+        const issues = pitchIssues(d);
+        if (issues.length) { problems.push({ team, pitcher, key, issues }); continue; }
+        clean[key] = d;
+        kept++;
+      }
+      if (kept) (data[team] ||= {})[pitcher] = clean;
+    }
+  }
+  return { data, problems, total };
+}
@@ -0,0 +1,179 @@
+import { Bus } from './data.js';
+import { addBalls, clearBalls, getBallsInfo, setSequenceGap, getSequenceGap } from './balls.js';
+import { getPlayback, setLoop } from './playback.js';
+import { goToView } from './camera.js';
+import { groupAtBats, countOf, pitchKey } from './filters.js';
+import { registerUrlState } from './urlstate.js';
+
+// Sequence playback: an at-bat (or any ordered list of pitches) thrown one pitch at a
+// time from the hitter's side of the plate, with a count / situation overlay. The
+// staggered launch times and fading trails live in balls.js (setSequenceGap).
+
+export const DEFAULT_GAP_S = 1.5;
+const MAX_SEQUENCE = 20;
+
+let _active = null;      // { pitches, gap, loop } while a sequence is in the scene
+let _overlay = null;
+let _pitches = [];       // the current pitcher's individual pitches (for share links)
+let _shown = -2;         // overlay state last drawn, to skip identical frames
+
+const resultOf = (p) => String(p.description || p.events || p.type || '').replace(/_/g, ' ');
+
+/** Throw `pitches` in order, `gap` seconds apart, from the batter's side of the plate. */
+export function playSequence(pitches, { gap = DEFAULT_GAP_S } = {}) {
+  const list = pitches.slice(0, MAX_SEQUENCE);
+  if (!list.length) return;
+  const loop = _active ? _active.loop : getPlayback().loop;
+  _active = null;                 // the clear + adds below must not end this sequence
+  clearBalls();
+  addBalls(list, pitchKey);
+  setSequenceGap(gap);
+  _active = { pitches: list, gap, loop };
+  setLoop(false);
+  goToView(list[0].stand === 'L' ? 'lhh' : 'rhh');
+  _shown = -2;
+  renderOverlay(0);
+}
+
+export function stopSequence() {
+  if (!_active) return;
+  clearBalls();   // ends it through the ballsChanged listener
+}
+
+export function isSequencePlaying() { return !!_active; }
+
+function endSequence() {
+  setLoop(_active.loop);
+  _active = null;
+  _overlay.hidden = true;
+}
+
+function el(tag, className, text = '') {
+  const node = document.createElement(tag);
+  node.className = className;
+  node.textContent = text;
+  return node;
+}
+
+// "B ●●○": a label followed by max dots, the first n lit
+function dots(label, n, max, cls) {
+  const span = document.createElement('span');
+  span.textContent = `${label} `;
+  for (let i = 0; i < max; i++) span.appendChild(el('i', `dot ${cls}${i < n ? ' on' : ''}`));
+  return span;
+}
+
+// the pitch being thrown at t (the last one released), and whether it has arrived
+function renderOverlay(t) {
+  const infos = getBallsInfo();
+  let i = -1;
+  infos.forEach((b, k) => { if (b.t0 <= t + 1e-9) i = k; });
+  if (i < 0) return;
+  const info = infos[i];
+  const tEnd = info.traj.timeToScenePlate();
+  const arrived = Number.isFinite(tEnd) && t >= info.t0 + tEnd;
+  const state = i * 2 + (arrived ? 1 : 0);
+  if (state === _shown) return;
+  _shown = state;
+
+  const p = info.datum;
+  const n = infos.length;
+  const situation = [
+    p.inning ? `Inning ${p.inning}` : null,
+    typeof p.outs_when_up === 'number' ? `${p.outs_when_up} out${p.outs_when_up === 1 ? '' : 's'}` : null,
+    p.batter_name ? `vs ${p.batter_name}${p.stand ? ` (${p.stand})` : ''}` : (p.stand ? `vs ${p.stand}HH` : null)
+  ].filter(Boolean).join(' · ');
+  const speed = Number.isFinite(Number(p.mph)) ? ` · ${Number(p.mph).toFixed(1)} mph` : '';
+  const hasCount = countOf(p) !== null;
+
+  // dropped CSVs supply the names, so they only ever go in as text
+  const count = el('div', 'seq-count');
+  if (hasCount) count.append(dots('B', p.balls, 3, 'ball'), dots('S', p.strikes, 2, 'strike'));
+  if (typeof p.outs_when_up === 'number') count.append(dots('O', p.outs_when_up, 2, 'out'));
+  _overlay.replaceChildren(
+    el('div', 'seq-situation', situation || 'Sequence'),
+    count,
+    el('div', 'seq-pitch', `Pitch ${i + 1} of ${n} · ${p.pitch_name || p.pitch_type}${speed}`),
+    el('div', 'seq-result', arrived ? resultOf(p) : '\u00a0'));
+  _overlay.hidden = false;
+}
+
+function option(value, text) {
+  const opt = document.createElement('option');
+  opt.value = value; opt.textContent = text;
+  return opt;
+}
+
+/**
+ * Sequence controls for the individual-pitch view: pick an at-bat (or the filtered list,
+ * in order), set the gap and play. shown() returns the currently filtered pitches;
+ * onStop puts the regular view back.
+ * Sequences replace every ball in the scene, so they are off in compare mode.
+ */
+export function buildSequenceControls(container, pitches, { shown, onStop = stopSequence, disabled = false } = {}) {
+  _pitches = pitches;
+  const atBats = groupAtBats(pitches);
+
+  const row = document.createElement('div');
+  row.className = 'field-row seq-row';
+  const pickSel = document.createElement('select');
+  pickSel.id = 'seqSource';
+  pickSel.appendChild(option('shown', 'Filtered pitches, in order'));
+  for (const ab of atBats) {
+    const text = [ab.date, ab.inning ? `inn ${ab.inning}` : null, ab.batter ? `vs ${ab.batter}` : null,
+      `${ab.pitches.length}p`, ab.result].filter(Boolean).join(' · ');
+    pickSel.appendChild(option(ab.id, text));
+  }
+  if (atBats.length) pickSel.value = atBats[0].id;   // latest at-bat
+
+  const gapInput = document.createElement('input');
+  gapInput.type = 'number'; gapInput.id = 'seqGap';
+  gapInput.min = '0'; gapInput.step = '0.5';
+  gapInput.value = _active ? _active.gap : DEFAULT_GAP_S;
+  gapInput.title = 'Seconds between pitches';
+
+  const play = document.createElement('button');
+  play.className = 'icon-btn'; play.textContent = '▶ Play';
+  const stop = document.createElement('button');
+  stop.className = 'icon-btn'; stop.textContent = '■';
+  stop.title = 'Back to all pitches at once';
+
+  play.addEventListener('click', () => {
+    const ab = atBats.find(a => a.id === pickSel.value);
+    playSequence(ab ? ab.pitches : shown(), { gap: Math.max(0, Number(gapInput.value) || 0) });
+  });
+  stop.addEventListener('click', () => onStop());
+  gapInput.addEventListener('change', () => {
+    if (!_active) return;
+    _active.gap = Math.max(0, Number(gapInput.value) || 0);
+    setSequenceGap(_active.gap);
+  });
+
+  for (const el of [pickSel, gapInput, play, stop]) el.disabled = disabled;
+  row.append(pickSel, gapInput, play, stop);
+  container.appendChild(row);
+  if (disabled) {
+    const note = document.createElement('div');
+    note.className = 'status-line';
+    note.textContent = 'sequences are off while comparing pitchers';
+    container.appendChild(note);
+  }
+}
+
+export function initSequence() {
+  _overlay = document.getElementById('seqOverlay');
+  Bus.on('ballsChanged', () => { if (_active && getSequenceGap() === null) endSequence(); });
+  Bus.on('playback', (s) => { if (_active) renderOverlay(Math.min(s.t, s.duration)); });
+
+  registerUrlState('seq', {
+    order: 3,
+    get: () => (_active ? { ids: _active.pitches.map(p => p.id), g: _active.gap } : undefined),
+    set: ({ ids = [], g } = {}) => {
+      const byId = new Map(_pitches.map(p => [String(p.id), p]));
+      const list = ids.map(id => byId.get(String(id))).filter(Boolean);
+      if (!list.length) return 'The pitch sequence in this link is not in the data.';
+      playSequence(list, { gap: Number.isFinite(Number(g)) ? Number(g) : DEFAULT_GAP_S });
+      return list.length < ids.length ? `${ids.length - list.length} pitches of the linked sequence are missing.` : null;
+    }
+  });
+}
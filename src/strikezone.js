@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+import { getRefs } from './scene.js';
+import { Bus } from './data.js';
+import { getBallsInfo } from './balls.js';
+import { toScene, plateLocationOf, PLATE_FRONT_Y } from './trajectory.js';
+import {
+  PLATE_HALF_WIDTH, CHASE_MARGIN, STRIKE_ZONES, CHASE_ZONES,
+  zoneFromBatter, averageZone, zoneOf, zoneRects, zoneLabelPoint
+} from './zones.js';
+import { registerUrlState } from './urlstate.js';
+
+// Batter-specific strike zone: a prism over the full plate depth, the 3×3 grid and
+// chase band on the front plane (where plate_x/plate_z are measured), Statcast zone
+// numbers, and a fill on each zone once a ball has crossed it.
+
+const SIDE_Y = 8.5 / 12;                 // plate sides run 8.5 in back from the front edge
+const FACE_Y = PLATE_FRONT_Y + 0.01;     // fills sit just in front of the grid lines
+
+const EDGE_MATERIAL = new THREE.LineBasicMaterial({ color: 0xf2f2f2, transparent: true, opacity: 0.9 });
+const GRID_MATERIAL = new THREE.LineBasicMaterial({ color: 0xf2f2f2, transparent: true, opacity: 0.35 });
+const CHASE_MATERIAL = new THREE.LineBasicMaterial({ color: 0xf2f2f2, transparent: true, opacity: 0.15 });
+
+let _group = null;
+let _cells = new Map();        // zone id -> [mesh]
+let _crossings = [];           // [{ zone, t, color }]
+let _heightIn = null;          // manual batter height overrides Statcast sz_top/sz_bot
+let _selected = null;
+let _zone = zoneFromBatter();
+let _labelTextures = new Map();
+let _fillsOn = true;           // off while a quiz must not give the location away
+let _pending = false;
+
+export function getStrikeZone() { return { ..._zone }; }
+
+function sceneVec(x, y, z) {
+  const p = toScene({ x, y, z });
+  return new THREE.Vector3(p.x, p.y, p.z);
+}
+
+function segments(pairs, material) {
+  const pts = pairs.flatMap(([a, b]) => [sceneVec(...a), sceneVec(...b)]);
+  return new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(pts), material);
+}
+
+function labelTexture(id) {
+  if (_labelTextures.has(id)) return _labelTextures.get(id);
+  const c = document.createElement('canvas');
+  c.width = c.height = 64;
+  const g = c.getContext('2d');
+  g.font = 'bold 40px system-ui, sans-serif';
+  g.textAlign = 'center'; g.textBaseline = 'middle';
+  g.fillStyle = '#f2f2f2';
+  g.fillText(String(id), 32, 34);
+  const tex = new THREE.CanvasTexture(c);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  _labelTextures.set(id, tex);
+  return tex;
+}
+
+function disposeGroup() {
+  if (!_group) return;
+  getRefs().scene.remove(_group);
+  _group.traverse(o => {
+    if (o.isLineSegments || o.isMesh) o.geometry.dispose();
+    if (o.isMesh || o.isSprite) o.material.dispose();
+  });
+  _group = null;
+  _cells = new Map();
+}
+
+function build() {
+  disposeGroup();
+  const { top, bot } = _zone;
+  const hw = PLATE_HALF_WIDTH, m = CHASE_MARGIN, mid = (top + bot) / 2;
+  _group = new THREE.Group();
+
+  // prism over the home-plate pentagon
+  const outline = [[-hw, PLATE_FRONT_Y], [hw, PLATE_FRONT_Y], [hw, SIDE_Y], [0, 0], [-hw, SIDE_Y]];
+  const ring = (z) => outline.map((p, i) => [[p[0], p[1], z], [outline[(i + 1) % 5][0], outline[(i + 1) % 5][1], z]]);
+  const posts = outline.map(([x, y]) => [[x, y, bot], [x, y, top]]);
+  _group.add(segments([...ring(top), ...ring(bot), ...posts], EDGE_MATERIAL));
+
+  // 3×3 grid on the front face
+  const grid = [];
+  for (let i = 1; i < 3; i++) {
+    const x = -hw + (2 * hw * i) / 3, z = bot + ((top - bot) * i) / 3;
+    grid.push([[x, PLATE_FRONT_Y, bot], [x, PLATE_FRONT_Y, top]], [[-hw, PLATE_FRONT_Y, z], [hw, PLATE_FRONT_Y, z]]);
+  }
+  _group.add(segments(grid, GRID_MATERIAL));
+
+  // chase band: outer frame plus the quadrant splits
+  const y = PLATE_FRONT_Y, L = -hw - m, R = hw + m, T = top + m, B = bot - m;
+  _group.add(segments([
+    [[L, y, B], [R, y, B]], [[R, y, B], [R, y, T]], [[R, y, T], [L, y, T]], [[L, y, T], [L, y, B]],
+    [[L, y, mid], [-hw, y, mid]], [[hw, y, mid], [R, y, mid]],
+    [[0, y, T], [0, y, top]], [[0, y, bot], [0, y, B]]
+  ], CHASE_MATERIAL));
+
+  // crossing fills (hidden until a ball gets there) and zone numbers
+  for (const id of [...STRIKE_ZONES, ...CHASE_ZONES]) {
+    const meshes = zoneRects(id, _zone).map(r => {
+      const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(r.x1 - r.x0, r.z1 - r.z0),
+        new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.3, depthWrite: false, side: THREE.DoubleSide })
+      );
+      mesh.position.copy(sceneVec((r.x0 + r.x1) / 2, FACE_Y, (r.z0 + r.z1) / 2));
+      mesh.visible = false;
+      _group.add(mesh);
+      return mesh;
+    });
+    _cells.set(id, meshes);
+
+    const p = zoneLabelPoint(id, _zone);
+    const label = new THREE.Sprite(new THREE.SpriteMaterial({
+      map: labelTexture(id), transparent: true, opacity: id <= 9 ? 0.55 : 0.35, depthWrite: false
+    }));
+    label.scale.setScalar(0.22);
+    label.position.copy(sceneVec(p.x, FACE_Y, p.z));
+    _group.add(label);
+  }
+
+  getRefs().scene.add(_group);
+}
+
+function resolveZone() {
+  if (_heightIn) return zoneFromBatter({ heightIn: _heightIn });
+  if (Number.isFinite(_selected?.sz_top) && Number.isFinite(_selected?.sz_bot)) return zoneFromBatter(_selected);
+  return averageZone(getBallsInfo().map(b => b.datum)) || zoneFromBatter();
+}
+
+function refreshCrossings() {
+  _crossings = getBallsInfo().map(({ color, traj, t0 }) => {
+    const loc = plateLocationOf(traj);
+    return { zone: zoneOf(loc.plate_x, loc.plate_z, _zone), t: (t0 || 0) + loc.t, color };
+  }).filter(c => c.zone != null && Number.isFinite(c.t));
+}
+
+function update() {
+  const next = resolveZone();
+  if (!_group || next.top !== _zone.top || next.bot !== _zone.bot) {
+    _zone = next;
+    build();
+    Bus.emit('strikeZone', getStrikeZone());
+  }
+  refreshCrossings();
+}
+
+// ball adds and selection changes come in bursts; rebuild once per frame
+function schedule() {
+  if (_pending) return;
+  _pending = true;
+  requestAnimationFrame(() => { _pending = false; update(); });
+}
+
+// light a zone once a ball reaches the plate; the latest arrival sets its colour
+function paint(t) {
+  const lit = new Map();
+  for (const c of _crossings) {
+    if (c.t <= t + 1e-6 && (!lit.has(c.zone) || lit.get(c.zone).t <= c.t)) lit.set(c.zone, c);
+  }
+  for (const [id, meshes] of _cells) {
+    const c = lit.get(id);
+    for (const mesh of meshes) {
+      mesh.visible = !!c && _fillsOn;
+      if (c) mesh.material.color.setHex(c.color);
+    }
+  }
+}
+
+export function setCrossingFillsVisible(on) {
+  _fillsOn = !!on;
+  if (!_fillsOn) for (const meshes of _cells.values()) for (const mesh of meshes) mesh.visible = false;
+}
+
+export function setBatterHeight(inches) {
+  const v = Number(inches);
+  _heightIn = Number.isFinite(v) && v > 0 ? v : null;
+  update();
+}
+
+export function initStrikeZone() {
+  const input = document.getElementById('batterHeight');
+  input?.addEventListener('change', () => setBatterHeight(input.value));
+
+  Bus.on('selectDatum', ({ datum } = {}) => { _selected = datum || null; schedule(); });
+  Bus.on('ballsChanged', schedule);
+  Bus.on('flightModel', schedule);
+  Bus.on('playback', (s) => paint(Math.min(s.t, s.duration)));
+  update();
+
+  registerUrlState('bh', {
+    get: () => _heightIn ?? undefined,
+    set: (inches) => {
+      if (input) input.value = inches;
+      setBatterHeight(inches);
+    }
+  });
+}
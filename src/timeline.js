@@ -0,0 +1,73 @@
+import { Bus } from './data.js';
+import { SPEEDS, getPlayback, seek, step, setPlaying, setSpeed, setLoop } from './playback.js';
+import { registerUrlState } from './urlstate.js';
+
+// Timeline panel: scrub release→plate, step frames, change speed, loop.
+// Keys: space = play/pause, ←/→ = one frame (shift: five).
+
+function isTyping(e) {
+  const tag = e.target?.tagName;
+  return tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA' || tag === 'BUTTON';
+}
+
+export function initTimeline() {
+  const back  = document.getElementById('tlBack');
+  const play  = document.getElementById('tlPlay');
+  const fwd   = document.getElementById('tlFwd');
+  const scrub = document.getElementById('tlScrub');
+  const time  = document.getElementById('tlTime');
+  const speed = document.getElementById('tlSpeed');
+  const loop  = document.getElementById('tlLoop');
+
+  for (const s of SPEEDS) {
+    const opt = document.createElement('option');
+    opt.value = s; opt.textContent = `${s}×`;
+    speed.appendChild(opt);
+  }
+  speed.value = String(getPlayback().speed);
+
+  back.addEventListener('click', () => step(-1));
+  fwd.addEventListener('click', () => step(1));
+  play.addEventListener('click', () => setPlaying(p => !p));
+  speed.addEventListener('change', () => setSpeed(speed.value));
+  loop.addEventListener('change', () => setLoop(loop.checked));
+
+  // scrubbing freezes playback so the chosen instant stays on screen
+  scrub.addEventListener('input', () => {
+    if (getPlayback().playing) setPlaying(false);
+    seek(Number(scrub.value));
+  });
+
+  let lastMs = -1, lastPlaying = null;
+  Bus.on('playback', (s) => {
+    const t = Math.min(s.t, s.duration);
+    scrub.max = s.duration.toFixed(3);
+    if (document.activeElement !== scrub || s.playing) scrub.value = t;
+    const ms = Math.round(t * 1000);
+    if (ms !== lastMs) { time.textContent = `${ms} ms`; lastMs = ms; }
+    if (s.playing !== lastPlaying) { play.textContent = s.playing ? '❚❚' : '▶'; lastPlaying = s.playing; }
+    if (speed.value !== String(s.speed)) speed.value = String(s.speed);
+    loop.checked = s.loop;
+  });
+
+  // speed/loop always; the frame too when paused (a shared still)
+  registerUrlState('pb', {
+    order: 20,
+    get: () => {
+      const s = getPlayback();
+      return { s: s.speed, l: s.loop ? 1 : 0, p: s.playing ? 1 : 0, ...(s.playing ? {} : { t: Math.round(s.t * 1000) / 1000 }) };
+    },
+    set: ({ s, l, p, t }) => {
+      setSpeed(s);
+      setLoop(l !== 0);
+      if (p === 0) { setPlaying(false); seek(t); }
+    }
+  });
+
+  window.addEventListener('keydown', (e) => {
+    if (isTyping(e)) return;
+    if (e.code === 'Space') { e.preventDefault(); setPlaying(p => !p); }
+    else if (e.code === 'ArrowLeft') { e.preventDefault(); step(e.shiftKey ? -5 : -1); }
+    else if (e.code === 'ArrowRight') { e.preventDefault(); step(e.shiftKey ? 5 : 1); }
+  });
+}
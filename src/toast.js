@@ -0,0 +1,24 @@
+// Transient notice at the top of the page (broken links, load problems).
+
+let _el = null;
+let _timer = null;
+
+export function showToast(message, { level = 'warn', ms = 8000 } = {}) {
+  if (!_el) {
+    _el = document.createElement('div');
+    _el.id = 'toast';
+    _el.className = 'panel';
+    _el.setAttribute('role', 'status');
+    _el.addEventListener('click', hideToast);
+    document.body.appendChild(_el);
+  }
+  _el.textContent = message;
+  _el.dataset.level = level;
+  _el.hidden = false;
+  clearTimeout(_timer);
+  if (ms > 0) _timer = setTimeout(hideToast, ms);
+}
+
+export function hideToast() {
+  if (_el) _el.hidden = true;
+}
@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+
+/**
+ * Trail dots drawn from one InstancedMesh used as a ring buffer.
+ * When the buffer is full the oldest dot is overwritten; removed dots are collapsed to
+ * zero scale, so nothing is allocated per frame. A type's dots can be faded (darkened and
+ * shrunk) as a group, e.g. earlier pitches of a sequence.
+ */
+
+const HIDDEN = new THREE.Matrix4().makeScale(0, 0, 0);
+const _m = new THREE.Matrix4();
+const _c = new THREE.Color();
+
+export function createTrailBuffer(scene, capacity = 60000, radius = 0.04) {
+  const mesh = new THREE.InstancedMesh(
+    new THREE.IcosahedronGeometry(radius, 0),
+    new THREE.MeshBasicMaterial({ color: 0xffffff }),
+    capacity
+  );
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.setColorAt(0, _c.set(0xffffff));   // allocates instanceColor before the first render
+  mesh.count = 0;
+  mesh.frustumCulled = false;
+  scene.add(mesh);
+
+  const types = new Array(capacity).fill(null);
+  const pos = new Float32Array(capacity * 3);
+  const rgb = new Float32Array(capacity * 3);    // undimmed colour, for fading
+  const byType = new Map();                      // type -> slots (may hold overwritten ones)
+  let head = 0, size = 0;
+
+  const oldest = () => (head - size + capacity) % capacity;
+  const hide = (i) => { mesh.setMatrixAt(i, HIDDEN); types[i] = null; };
+  const dirty = () => {
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+  };
+
+  return {
+    mesh,
+
+    push(position, color, type) {
+      _m.makeTranslation(position.x, position.y, position.z);
+      mesh.setMatrixAt(head, _m);
+      mesh.setColorAt(head, _c.set(color));
+      types[head] = type;
+      pos.set([position.x, position.y, position.z], head * 3);
+      rgb.set([_c.r, _c.g, _c.b], head * 3);
+      if (!byType.has(type)) byType.set(type, []);
+      byType.get(type).push(head);
+      head = (head + 1) % capacity;
+      size = Math.min(size + 1, capacity);
+      mesh.count = Math.max(mesh.count, head === 0 ? capacity : head);
+      dirty();
+    },
+
+    removeType(type) {
+      for (let k = 0, i = oldest(); k < size; k++, i = (i + 1) % capacity) {
+        if (types[i] === type) hide(i);
+      }
+      byType.delete(type);
+      dirty();
+    },
+
+    // k = 1 draws the type's dots as pushed, 0 hides them
+    fadeType(type, k) {
+      const slots = (byType.get(type) || []).filter(i => types[i] === type);
+      byType.set(type, slots);
+      const r = k > 0 ? 0.35 + 0.65 * k : 0;
+      for (const i of slots) {
+        _m.makeScale(r, r, r).setPosition(pos[i * 3], pos[i * 3 + 1], pos[i * 3 + 2]);
+        mesh.setMatrixAt(i, _m);
+        mesh.setColorAt(i, _c.setRGB(rgb[i * 3] * k, rgb[i * 3 + 1] * k, rgb[i * 3 + 2] * k));
+      }
+      if (slots.length) dirty();
+    },
+
+    clear() {
+      head = 0; size = 0;
+      mesh.count = 0;
+      types.fill(null);
+      byType.clear();
+    },
+
+    dispose() {
+      scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      mesh.dispose?.();
+    }
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Pure pitch kinematics (no DOM, no three.js) so it runs in the browser and under Node.
+ *
+ * Two frames are used:
+ *  - Statcast frame (ft): x = catcher's right (plate_x), y = distance from the back tip
+ *    of the plate toward the mound, z = height above the ground (plate_z).
+ *  - Scene frame (ft): x = -statcast x, y = statcast z, z = statcast y - 60.5,
+ *    so the rubber sits at z = 0 and the scene's plate plane at z = -60.5.
+ *
+ * A trajectory is the constant-acceleration Statcast fit started from the release point.
+ * Statcast gives vx0/vy0/vz0 at y = 50 ft, so the velocity is carried back to release first.
+ */
+
+export const MOUND_TO_PLATE = 60.5;     // ft, rubber to back tip of the plate
+export const PLATE_FRONT_Y  = 17 / 12;  // ft, front edge of the plate (Statcast plate_x/plate_z plane)
+export const SCENE_PLATE_Z  = -MOUND_TO_PLATE;
+export const GRAVITY        = 32.174;   // ft/s^2
+export const FT_PER_S_TO_MPH = 0.681818;
+export const STATCAST_Y0    = 50;       // ft, where Statcast's vx0/vy0/vz0 are defined
+
+export function toScene(p) {
+  return { x: -p.x, y: p.z, z: p.y - MOUND_TO_PLATE };
+}
+
+export function toStatcast(p) {
+  return { x: -p.x, y: p.z + MOUND_TO_PLATE, z: p.y };
+}
+
+// smallest t >= 0 with p0 + v*t + a*t^2/2 = target; NaN when never reached
+export function solveQuadraticTime(p0, v, a, target) {
+  const c = p0 - target;
+  if (Math.abs(a) < 1e-9) {
+    if (Math.abs(v) < 1e-9) return NaN;
+    const t = -c / v;
+    return t >= 0 ? t : NaN;
+  }
+  const disc = v * v - 2 * a * c;
+  if (disc < 0) return NaN;
+  const sq = Math.sqrt(disc);
+  const roots = [(-v - sq) / a, (-v + sq) / a].filter(t => t >= 0).sort((m, n) => m - n);
+  return roots.length ? roots[0] : NaN;
+}
+
+// Display speed for a datum: Savant's release_speed is already mph; only |v0| needs converting.
+export function releaseSpeedMph(d) {
+  if (typeof d.release_speed === 'number' && isFinite(d.release_speed)) {
+    return d.release_speed;
+  }
+  if (typeof d.release_speed_mph === 'number' && isFinite(d.release_speed_mph)) {
+    return d.release_speed_mph;
+  }
+  return Math.hypot(d.vx0 || 0, d.vy0 || 0, d.vz0 || 0) * FT_PER_S_TO_MPH;
+}
+
+// Statcast time from y = 50 ft to `y` (negative for a release point in front of 50 ft)
+function timeFromY0(vy0, ay, y) {
+  const c = STATCAST_Y0 - y;
+  if (Math.abs(ay) < 1e-9) return -c / vy0;
+  const sq = Math.sqrt(vy0 * vy0 - 2 * ay * c);
+  const roots = [(-vy0 - sq) / ay, (-vy0 + sq) / ay];
+  return Math.abs(roots[0]) < Math.abs(roots[1]) ? roots[0] : roots[1];
+}
+
+/** Velocity (ft/s, Statcast frame) at the release point: v0 + a·t back from y = 50 ft. */
+export function releaseVelocity(d) {
+  const v0 = { x: Number(d.vx0), y: Number(d.vy0), z: Number(d.vz0) };
+  const a  = { x: Number(d.ax),  y: Number(d.ay),  z: Number(d.az)  };
+  const t = timeFromY0(v0.y, a.y, MOUND_TO_PLATE - Number(d.release_extension));
+  if (!Number.isFinite(t)) return v0;
+  return { x: v0.x + a.x * t, y: v0.y + a.y * t, z: v0.z + a.z * t };
+}
+
+/**
+ * Build a trajectory from a Statcast-style datum
+ * (release_pos_x/z, release_extension, vx0/vy0/vz0, ax/ay/az).
+ */
+export function createTrajectory(d) {
+  const release  = { x: Number(d.release_pos_x), y: MOUND_TO_PLATE - Number(d.release_extension), z: Number(d.release_pos_z) };
+  const velocity = releaseVelocity(d);
+  const accel    = { x: Number(d.ax),  y: Number(d.ay),  z: Number(d.az)  };
+
+  const traj = {
+    model: 'statcast',
+    release, velocity, accel,
+
+    positionAt(t) {
+      return {
+        x: release.x + velocity.x * t + 0.5 * accel.x * t * t,
+        y: release.y + velocity.y * t + 0.5 * accel.y * t * t,
+        z: release.z + velocity.z * t + 0.5 * accel.z * t * t
+      };
+    },
+
+    velocityAt(t) {
+      return {
+        x: velocity.x + accel.x * t,
+        y: velocity.y + accel.y * t,
+        z: velocity.z + accel.z * t
+      };
+    },
+
+    scenePositionAt(t) { return toScene(traj.positionAt(t)); },
+
+    // time at which the ball reaches Statcast y (ft from the back tip of the plate)
+    timeToY(y) { return solveQuadraticTime(release.y, velocity.y, accel.y, y); },
+
+    // front of the plate (Statcast plate_x/plate_z definition)
+    timeToPlate() { return traj.timeToY(PLATE_FRONT_Y); },
+
+    // the scene's -60.5 plane, where playback stops
+    timeToScenePlate() { return traj.timeToY(0); },
+
+    plateLocation() { return plateLocationOf(traj); }
+  };
+  return traj;
+}
+
+// plate_x/plate_z for any object exposing positionAt/timeToPlate
+export function plateLocationOf(traj) {
+  const t = traj.timeToPlate();
+  if (!Number.isFinite(t)) return { plate_x: NaN, plate_z: NaN, t };
+  const p = traj.positionAt(t);
+  return { plate_x: p.x, plate_z: p.z, t };
+}
+
+// Break at the front of the plate versus a spin-free, drag-free path (inches).
+// hb follows the metrics panel convention (sign flipped from Statcast pfx_x).
+export function movementOf(traj) {
+  const t = traj.timeToPlate();
+  if (!Number.isFinite(t)) return { ivb: NaN, hb: NaN };
+  const p = traj.positionAt(t), r = traj.release, v = traj.velocity;
+  return {
+    ivb: (p.z - (r.z + v.z * t - 0.5 * GRAVITY * t * t)) * 12,
+    hb: -(p.x - (r.x + v.x * t)) * 12
+  };
+}
+
+/**
+ * base + (to - from): replays `base` with the difference between two other trajectories
+ * layered on top, so an unedited copy overlays the original exactly in either flight model.
+ */
+export function offsetTrajectory(base, from, to) {
+  const traj = {
+    model: base.model,
+    release: addDelta(base.release, from.release, to.release),
+    velocity: addDelta(base.velocity, from.velocity, to.velocity),
+
+    positionAt(t) { return addDelta(base.positionAt(t), from.positionAt(t), to.positionAt(t)); },
+    velocityAt(t) { return addDelta(base.velocityAt(t), from.velocityAt(t), to.velocityAt(t)); },
+    scenePositionAt(t) { return toScene(traj.positionAt(t)); },
+
+    // y(t) is monotonic over a pitch, so bisect
+    timeToY(y) {
+      let lo = 0, hi = 2;
+      if (!(traj.positionAt(lo).y >= y && traj.positionAt(hi).y < y)) return NaN;
+      for (let i = 0; i < 40; i++) {
+        const mid = (lo + hi) / 2;
+        if (traj.positionAt(mid).y >= y) lo = mid; else hi = mid;
+      }
+      return (lo + hi) / 2;
+    },
+    timeToPlate() { return traj.timeToY(PLATE_FRONT_Y); },
+    timeToScenePlate() { return traj.timeToY(0); },
+    plateLocation() { return plateLocationOf(traj); }
+  };
+  return traj;
+}
+
+function addDelta(p, a, b) {
+  return { x: p.x + b.x - a.x, y: p.y + b.y - a.y, z: p.z + b.z - a.z };
+}
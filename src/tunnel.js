@@ -0,0 +1,46 @@
+// Tunnelling metrics (pure, no DOM). Works on anything with the trajectory interface.
+import { PLATE_FRONT_Y } from './trajectory.js';
+
+// Decision point: `distanceFt` in front of the plate, or `timeMs` before the pitch arrives.
+export const DEFAULT_TUNNEL = { mode: 'distance', distanceFt: 23.8, timeMs: 175 };
+
+export function decisionTime(traj, opts = DEFAULT_TUNNEL) {
+  if (opts.mode === 'time') {
+    const tPlate = traj.timeToPlate();
+    return Number.isFinite(tPlate) ? Math.max(0, tPlate - opts.timeMs / 1000) : NaN;
+  }
+  return traj.timeToY(PLATE_FRONT_Y + opts.distanceFt);
+}
+
+// separation across the hitter's view (x/z only), inches
+function separationIn(p, q) {
+  return Math.hypot(p.x - q.x, p.z - q.z) * 12;
+}
+
+/**
+ * Pairwise separation at the decision point and at the plate for a list of
+ * { key, traj } entries. ratio = plate / decision (bigger = later, sharper split).
+ */
+export function tunnelPairs(entries, opts = DEFAULT_TUNNEL) {
+  const pts = entries.map(({ key, traj }) => {
+    const tDp = decisionTime(traj, opts);
+    const tPl = traj.timeToPlate();
+    return {
+      key,
+      dp: Number.isFinite(tDp) ? traj.positionAt(tDp) : null,
+      plate: Number.isFinite(tPl) ? traj.positionAt(tPl) : null
+    };
+  });
+
+  const pairs = [];
+  for (let i = 0; i < pts.length; i++) {
+    for (let j = i + 1; j < pts.length; j++) {
+      const a = pts[i], b = pts[j];
+      if (!a.dp || !b.dp || !a.plate || !b.plate) continue;
+      const decisionIn = separationIn(a.dp, b.dp);
+      const plateIn = separationIn(a.plate, b.plate);
+      pairs.push({ a: a.key, b: b.key, decisionIn, plateIn, ratio: decisionIn > 0 ? plateIn / decisionIn : Infinity });
+    }
+  }
+  return pairs;
+}
@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import { getRefs } from './scene.js';
+import { Bus } from './data.js';
+import { getBallsInfo } from './balls.js';
+import { DEFAULT_TUNNEL, decisionTime, tunnelPairs } from './tunnel.js';
+import { PLATE_FRONT_Y, MOUND_TO_PLATE } from './trajectory.js';
+import { registerUrlState } from './urlstate.js';
+
+// Tunnel view: decision-point markers in the scene + pairwise numbers for the metrics panel.
+
+const MAX_TUNNEL_BALLS = 10;   // keeps the pair table (n^2) readable
+
+const RING_GEOMETRY = new THREE.TorusGeometry(0.2, 0.018, 8, 32);
+const RING_MATERIAL = new THREE.MeshBasicMaterial({ color: 0xffd60a, transparent: true, opacity: 0.9 });
+const FRAME_MATERIAL = new THREE.LineBasicMaterial({ color: 0xffd60a, transparent: true, opacity: 0.45 });
+
+let _on = false;
+let _opts = { ...DEFAULT_TUNNEL };
+let _group = null;
+let _pending = false;
+
+function disposeGroup() {
+  if (!_group) return;
+  getRefs().scene.remove(_group);
+  _group.traverse(o => { if (o.isLineSegments) o.geometry.dispose(); });
+  _group = null;
+}
+
+function rebuild() {
+  _pending = false;
+  disposeGroup();
+  if (!_on) { Bus.emit('tunnelStats', null); return; }
+
+  const entries = getBallsInfo().slice(0, MAX_TUNNEL_BALLS);
+  _group = new THREE.Group();
+
+  // distance mode: a window frame across the decision plane
+  if (_opts.mode === 'distance') {
+    const frame = new THREE.LineSegments(new THREE.EdgesGeometry(new THREE.PlaneGeometry(4, 6)), FRAME_MATERIAL);
+    frame.position.set(0, 3, PLATE_FRONT_Y + _opts.distanceFt - MOUND_TO_PLATE);
+    _group.add(frame);
+  }
+
+  for (const { traj } of entries) {
+    const t = decisionTime(traj, _opts);
+    if (!Number.isFinite(t)) continue;
+    const p = traj.scenePositionAt(t);
+    const ring = new THREE.Mesh(RING_GEOMETRY, RING_MATERIAL);
+    ring.position.set(p.x, p.y, p.z);
+    _group.add(ring);
+  }
+
+  getRefs().scene.add(_group);
+  Bus.emit('tunnelStats', { opts: { ..._opts }, pairs: tunnelPairs(entries, _opts), capped: getBallsInfo().length > entries.length });
+}
+
+// coalesce bursts (e.g. a master checkbox adding nine balls) into one rebuild per frame
+function schedule() {
+  if (_pending) return;
+  _pending = true;
+  requestAnimationFrame(rebuild);
+}
+
+export function setTunnelOptions(opts) {
+  _opts = { ..._opts, ...opts };
+  schedule();
+}
+
+export function setTunnelVisible(on) {
+  _on = !!on;
+  schedule();
+}
+
+export function initTunnelView() {
+  const toggle = document.getElementById('tunnelToggle');
+  const row = document.getElementById('tunnelRow');
+  const mode = document.getElementById('tunnelMode');
+  const value = document.getElementById('tunnelValue');
+
+  const readValue = () => {
+    const v = Number(value.value);
+    if (mode.value === 'time') setTunnelOptions({ mode: 'time', timeMs: v > 0 ? v : DEFAULT_TUNNEL.timeMs });
+    else setTunnelOptions({ mode: 'distance', distanceFt: v > 0 ? v : DEFAULT_TUNNEL.distanceFt });
+  };
+
+  toggle.addEventListener('change', () => {
+    row.hidden = !toggle.checked;
+    setTunnelVisible(toggle.checked);
+  });
+  mode.addEventListener('change', () => {
+    value.value = mode.value === 'time' ? _opts.timeMs : _opts.distanceFt;
+    value.step = mode.value === 'time' ? 5 : 0.1;
+    readValue();
+  });
+  value.addEventListener('change', readValue);
+
+  Bus.on('ballsChanged', () => { if (_on) schedule(); });
+  Bus.on('flightModel', () => { if (_on) schedule(); });
+
+  registerUrlState('tun', {
+    get: () => (_on ? { m: _opts.mode, v: _opts.mode === 'time' ? _opts.timeMs : _opts.distanceFt } : undefined),
+    set: ({ m, v }) => {
+      toggle.checked = true;
+      toggle.dispatchEvent(new Event('change'));
+      mode.value = m === 'time' ? 'time' : 'distance';
+      mode.dispatchEvent(new Event('change'));
+      if (Number(v) > 0) { value.value = v; readValue(); }
+    }
+  });
+}
@@ -8,3 +8,47 @@ export function createTurfMaterial() {
     metalness: 0.0
   });
 }
+
+// Small canvas textures for the ballpark layer (ballpark.js); no image files needed.
+// They expect UVs in feet, which is what ShapeGeometry produces from shape coordinates.
+function canvasTexture(size, paint) {
+  const c = document.createElement('canvas');
+  c.width = c.height = size;
+  paint(c.getContext('2d'), size);
+  const tex = new THREE.CanvasTexture(c);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+  tex.anisotropy = 4;
+  return tex;
+}
+
+// speckle so large flat areas don't read as plastic
+function speckle(g, size, count, alpha) {
+  for (let i = 0; i < count; i++) {
+    const v = Math.random() < 0.5 ? 0 : 255;
+    g.fillStyle = `rgba(${v},${v},${v},${Math.random() * alpha})`;
+    g.fillRect(Math.random() * size, Math.random() * size, 2, 2);
+  }
+}
+
+// mowed grass: a checkerboard of light and dark stripes, stripeFt wide
+export function createGrassMaterial({ stripeFt = 18 } = {}) {
+  const map = canvasTexture(256, (g, s) => {
+    const h = s / 2;
+    g.fillStyle = '#1d4a22'; g.fillRect(0, 0, s, s);
+    g.fillStyle = '#245a29'; g.fillRect(0, 0, h, h); g.fillRect(h, h, h, h);
+    speckle(g, s, 3000, 0.08);
+  });
+  map.repeat.set(1 / (2 * stripeFt), 1 / (2 * stripeFt));
+  return new THREE.MeshStandardMaterial({ map, roughness: 0.95, metalness: 0.0 });
+}
+
+// infield dirt and warning track
+export function createDirtMaterial({ tileFt = 12 } = {}) {
+  const map = canvasTexture(128, (g, s) => {
+    g.fillStyle = '#7a4a2b'; g.fillRect(0, 0, s, s);
+    speckle(g, s, 2500, 0.18);
+  });
+  map.repeat.set(1 / tileFt, 1 / tileFt);
+  return new THREE.MeshStandardMaterial({ map, roughness: 1.0, metalness: 0.0 });
+}
@@ -1,128 +1,185 @@
-import { clearBalls, clearTrails, addBall, removeBallByType, setTrailVisible, replayAll } from './balls.js';
-import { setCameraView } from './scene.js';
-import { Bus } from './data.js';
-
-let _state = { team: null, pitcher: null };
+import { clearBalls, clearTrails, addBall, addBalls, removeBallByType, hasBall, ballKey, getBallsInfo, setSelectedBall, setTrailVisible, replayAll, setFlightModel, setSpinAxesVisible } from './balls.js';
+import { Bus, loadSavantCsv, getPitchList, getZoneAverages, splitPitcherData } from './data.js';
+import { COUNT_GROUPS, usageByType, pitchKey } from './filters.js';
+import { pitchColor, cssHex } from './palette.js';
+import { buildPitchList, getPitchFilters, setPitchFilters, flyingPitches } from './pitchlist.js';
+import { fmt, pick, extendedMetrics } from './metrics.js';
+import { initMetricCards, renderMetricCards, metricsTable } from './metriccards.js';
+import { axisToClock, inferredSpinAxis, spinAxisDeviation } from './physics.js';
+import { STRIKE_ZONES, CHASE_ZONES } from './zones.js';
+import { isComparing, compareBallOpts, addComparePitcher, removeComparePitcher, setCompareEnabled, getCompareEntries, refreshCompareData, compareKey } from './compare.js';
+import { registerUrlState } from './urlstate.js';
+
+let _data = {};
+let _state = { team: null, pitcher: null, mode: 'zones' };
+let _split = { stand: 'all', countGroup: 'all' };   // matchup split (needs individual pitches)
 let _lastDatum = null; // currently selected pitch datum (from JSON)
+let _lastMetrics = {}; // its derived card metrics, computed once per selection
 
 // ---------- helpers ----------
-function fmt(v, d = 1) {
-  if (v === null || v === undefined || Number.isNaN(Number(v))) return '--';
-  const n = Number(v);
-  return (Math.abs(n) >= 1000) ? Math.round(n).toString() : n.toFixed(d);
-}
-function pick(...keys) {
-  for (const k of keys) {
-    if (k !== undefined && k !== null) return k;
-  }
-  return undefined;
-}
-// candidates: "key" or ["key", multiplier]
-function getVal(obj, candidates) {
-  if (!obj) return undefined;
-  for (const c of candidates) {
-    if (Array.isArray(c)) {
-      const [k, mul = 1] = c;
-      if (obj[k] !== undefined && obj[k] !== null) return Number(obj[k]) * mul;
-    } else {
-      if (obj[c] !== undefined && obj[c] !== null) return Number(obj[c]);
-    }
-  }
-  return undefined;
-}
-
 function buildMetricsPanel(el) {
   el.innerHTML = `
-    <div class="metrics-title">Metrics</div>
-    <div class="metrics-grid">
-      <div class="metric">
-        <div class="metric-label">Velo</div>
-        <div class="metric-value" id="m-velo">--</div>
-        <div class="metric-unit">mph</div>
-      </div>
-      <div class="metric">
-        <div class="metric-label">Spin</div>
-        <div class="metric-value" id="m-spin">--</div>
-        <div class="metric-unit">rpm</div>
-      </div>
-      <div class="metric">
-        <div class="metric-label">IVB</div>
-        <div class="metric-value" id="m-ivb">--</div>
-        <div class="metric-unit">in</div>
-      </div>
-      <div class="metric">
-        <div class="metric-label">HB</div>
-        <div class="metric-value" id="m-hb">--</div>
-        <div class="metric-unit">in</div>
-      </div>
+    <div class="metrics-title">Metrics <span class="metrics-key" id="m-key"></span>
+      <button class="icon-btn metrics-config-btn" id="m-configBtn" title="Choose cards and units">⚙</button>
     </div>
+    <div class="metrics-config" id="m-config" hidden></div>
+    <div class="metrics-grid" id="m-cards"></div>
+    <div class="metrics-note" id="m-axis" hidden></div>
+    <div class="metrics-delta" id="m-delta" hidden></div>
+    <div class="metrics-tunnel" id="m-tunnel" hidden></div>
+    <div class="metrics-release" id="m-release" hidden></div>
+    <div class="metrics-compare" id="m-compare" hidden></div>
   `;
 }
 
-function renderMetrics({ mph, spin, ivb, hb }) {
-  const e = (id) => document.getElementById(id);
-  e('m-velo').textContent = fmt(mph, 1);
-  e('m-spin').textContent = fmt(spin, 0);
-  e('m-ivb').textContent  = fmt(ivb, 1);
-  e('m-hb').textContent   = fmt(hb, 1);
+// observed vs movement-inferred spin axis (colours match the spin-axis arrows)
+function renderSpinAxisNote(d) {
+  const el = document.getElementById('m-axis');
+  if (!el) return;
+  const obs = d ? Number(d.spin_axis) : NaN;
+  const inf = d ? inferredSpinAxis(d) : NaN;
+  el.hidden = !Number.isFinite(obs) || !Number.isFinite(inf);
+  if (el.hidden) return;
+  el.innerHTML = `Axis <b>${axisToClock(obs)}</b> observed · <i>${axisToClock(inf)}</i> inferred · ` +
+    `SSW ${fmt(spinAxisDeviation(d), 0)}°`;
 }
 
-// --------- TrackMan IVB from datum (gravity removed) ----------
-function trackmanIVBInches(d) {
-  // Use explicit IVB if present (already inches, positive = ride)
-  const explicit = getVal(d, ['inducedVerticalBreak', 'ivb', 'ivb_in', 'ivb_inches']);
-  if (explicit !== undefined) return Number(explicit);
-
-  // Otherwise compute: IVB = gravity_drop - total_drop
-  // total_drop from your JSON is movement_vertical (ft) → inches
-  const totalDropIn = (() => {
-    const mvIn = getVal(d, [['movement_vertical', 12], ['movement_vertical_ft', 12], 'vertical_movement_in', 'total_vertical_break_in']);
-    return mvIn === undefined ? undefined : Math.abs(mvIn);
-  })();
-
-  const t = pick(d.time_to_plate, d.timeToPlate, d.tt); // seconds
-  if (totalDropIn !== undefined && t !== undefined) {
-    const g = 32.174; // ft/s^2
-    const gravityDropIn = 0.5 * g * (Number(t) ** 2) * 12;
-    return gravityDropIn - totalDropIn; // + = ride, - = extra drop
-  }
-
-  // Last resort: spin-only vertical deflection from Statcast-style fields (already inches)
-  const pfxZ = getVal(d, ['pfx_z', 'vz_break', 'vertBreak']);
-  return pfxZ;
+function renderDesignDelta(delta) {
+  const el = document.getElementById('m-delta');
+  if (!el) return;
+  el.hidden = !delta;
+  if (!delta) return;
+  const sgn = (v) => (v > 0 ? '+' : '') + fmt(v, 1);
+  el.textContent = `Design Δ  IVB ${sgn(delta.ivb)} in · HB ${sgn(delta.hb)} in`;
 }
 
-// derive metrics from a raw datum (your JSON object for a pitch)
-function metricsFromDatum(d) {
-  if (!d) return { mph: undefined, spin: undefined, ivb: undefined, hb: undefined };
+function renderTunnelStats(stats) {
+  const el = document.getElementById('m-tunnel');
+  if (!el) return;
+  el.hidden = !stats;
+  if (!stats) return;
+  const where = stats.opts.mode === 'time' ? `${stats.opts.timeMs} ms out` : `${stats.opts.distanceFt} ft out`;
+  const head = textDiv('metrics-subtitle', `Tunnel · decision point ${where}`);
+  if (!stats.pairs.length) {
+    el.replaceChildren(head, textDiv('metrics-note', 'Select two or more pitches'));
+    return;
+  }
+  const rows = stats.pairs.map(p => [`${p.a} ↔ ${p.b}`, fmt(p.decisionIn, 1), fmt(p.plateIn, 1), fmt(p.ratio, 1)]);
+  el.replaceChildren(head, metricsTable(['Pair', 'DP in', 'Plate in', 'Ratio'], rows));
+  if (stats.capped) el.appendChild(textDiv('metrics-note', 'First 10 pitches only'));
+}
 
-  const mph  = pick(d.mph, d.velocity, d.vel, d.release_speed);
-  const spin = pick(d.spin, d.rpm, d.release_spin_rate);
+// stat-panel pieces; names and types come from the data, so they only go in as text
+function textDiv(className, text) {
+  const div = document.createElement('div');
+  div.className = className;
+  div.textContent = text;
+  return div;
+}
 
-  const ivb  = trackmanIVBInches(d);
+function swatched(color, text) {
+  const sw = document.createElement('span');
+  sw.className = 'swatch';
+  sw.style.background = cssHex(color);
+  const frag = document.createDocumentFragment();
+  frag.append(sw, text);
+  return frag;
+}
 
-  // HB (no gravity on X). Prefer inch-native, else convert ft → in.
-  const hbRaw = getVal(d, [
-    'hb', 'hb_in', 'hb_inches', 'horizontalBreak', 'hbreak', 'horizontal_break',
-    ['pfx_x', 1],
-    ['movement_horizontal', 12], ['movement_horizontal_ft', 12]
+// heights/sides in ft, spread = combined 2σ of the release cloud in inches (the drawn ellipses)
+function renderReleaseStats(stats) {
+  const el = document.getElementById('m-release');
+  if (!el) return;
+  el.hidden = !stats;
+  if (!stats) return;
+  const head = textDiv('metrics-subtitle', 'Release · by pitch type');
+  if (!stats.rows.length) {
+    el.replaceChildren(head, textDiv('metrics-note', 'Select pitches to see their release points'));
+    return;
+  }
+  const rows = stats.rows.map(r => [
+    swatched(r.color, `${r.owner ? `${r.owner} · ` : ''}${r.type}`),
+    fmt(r.n, 0), fmt(r.height, 2), fmt(r.side, 2), fmt(r.extension, 2),
+    r.n > 1 ? fmt(r.spreadIn, 1) : '--', `${fmt(r.slot, 0)}°`
   ]);
-  const hb = hbRaw === undefined ? undefined : -hbRaw;   // flip the sign
+  el.replaceChildren(head,
+    metricsTable(['Type', 'n', 'Ht', 'Side', 'Ext', 'Spread in', 'Slot'], rows),
+    textDiv('metrics-note', 'Arm slot from a body model fit to release height'));
+}
 
+function renderCompareStats(stats) {
+  const el = document.getElementById('m-compare');
+  if (!el) return;
+  el.hidden = !stats;
+  if (!stats) return;
+  const rows = stats.rows.map(r => [
+    r.type, swatched(r.color, r.pitcher),
+    fmt(r.n, 0), fmt(r.mph, 1), fmt(r.spin, 0), fmt(r.ivb, 1), fmt(r.hb, 1)
+  ]);
+  el.replaceChildren(textDiv('metrics-subtitle', 'Compare · by pitch type'),
+    metricsTable(['Type', 'Pitcher', 'n', 'Velo', 'Spin', 'IVB', 'HB'], rows));
+}
 
-  return { mph, spin, ivb, hb };
+// selected datum drives the metrics panel; other panels follow via the bus
+// key: the ball's scene key, so picking and the checkboxes agree on which ball it is
+function selectDatum(datum, key = null) {
+  _lastDatum = datum || null;
+  setSelectedBall(_lastDatum ? key : null);
+  document.getElementById('m-key').textContent = _lastDatum && key ? key : '';
+  _lastMetrics = extendedMetrics(_lastDatum);
+  renderMetricCards(_lastMetrics);
+  renderSpinAxisNote(_lastDatum);
+  Bus.emit('selectDatum', { datum: _lastDatum, key });
 }
 
 // ---------- UI builders ----------
-export function buildPitchCheckboxes(pitcherData) {
+// 1-based grid cell for a zone checkbox; 5×5 when the chase corners are shown
+function zoneGridCell(zone, withChase) {
+  if (zone >= 11) return [zone % 2 ? 1 : 5, zone <= 12 ? 1 : 5];
+  const off = withChase ? 2 : 1;
+  return [(zone - 1) % 3 + off, Math.floor((zone - 1) / 3) + off];
+}
+
+// per-type share of the pitches on screen; zone averages count as their n
+function renderUsage(el, pitcherData) {
+  const list = getPitchList(pitcherData);
+  const usage = list.length
+    ? usageByType(list)
+    : usageByType(Object.entries(getZoneAverages(pitcherData)).map(([key, d]) => ({ pitch_type: key.split(' ')[0], n: d.n })), p => p.n || 1);
+  const total = usage.reduce((a, u) => a + u.n, 0);
+  if (!usage.length) {
+    el.replaceChildren(textDiv('status-line', 'No pitches in this matchup'));
+    return;
+  }
+  el.replaceChildren(...usage.map(u => {
+    const color = pitchColor(u.type);
+    const row = textDiv('usage-row', '');
+    row.title = `${u.n.toLocaleString()} of ${total.toLocaleString()}`;
+    const name = document.createElement('b');
+    name.append(swatched(color, u.type));
+    const bar = document.createElement('span');
+    bar.className = 'usage-bar';
+    const fill = document.createElement('i');
+    fill.style.width = `${u.pct.toFixed(1)}%`;
+    fill.style.background = cssHex(color);
+    bar.appendChild(fill);
+    const pct = document.createElement('span');
+    pct.textContent = `${fmt(u.pct, 0)}%`;
+    row.append(name, bar, pct);
+    return row;
+  }));
+}
+
+export function buildPitchCheckboxes(pitcherData, ballOpts = {}) {
   const container = document.getElementById('pitchCheckboxes');
   container.innerHTML = '';
 
   const pitchGroups = {};
-  for (const key in pitcherData) {
+  const averages = getZoneAverages(pitcherData);
+  for (const key in averages) {
     const [type, zoneStr] = key.split(' ');
     const zone = Number(zoneStr);
-    (pitchGroups[type] ||= {})[zone] = pitcherData[key];
+    (pitchGroups[type] ||= {})[zone] = averages[key];
   }
 
   Object.keys(pitchGroups).forEach(type => {
@@ -147,29 +204,29 @@ export function buildPitchCheckboxes(pitcherData) {
 
     const grid = document.createElement('div');
     grid.className = 'checkbox-grid';
+    // chase zones frame the 3×3 like the scene overlay (11 12 / 13 14 in the corners)
+    const withChase = CHASE_ZONES.some(z => pitchGroups[type][z]);
+    if (withChase) grid.style.gridTemplateColumns = 'repeat(5,1fr)';
 
     const zoneBoxes = [];
 
-    for (let zone = 1; zone <= 9; zone++) {
+    for (const zone of [...STRIKE_ZONES, ...CHASE_ZONES]) {
       if (!pitchGroups[type][zone]) continue;
       const combo = `${type} ${zone}`;
 
       const cb = document.createElement('input');
       cb.type = 'checkbox';
       cb.id = combo;
+      cb.checked = hasBall(combo, ballOpts.owner);   // compare mode keeps a pitcher's balls
 
       cb.addEventListener('change', () => {
         if (cb.checked) {
           const datum = pitchGroups[type][zone];
-          addBall(datum, combo);
-          _lastDatum = datum;
-          renderMetrics(metricsFromDatum(_lastDatum));
+          addBall(datum, combo, ballOpts);
+          selectDatum(datum, ballKey(combo, ballOpts.owner));
         } else {
-          removeBallByType(combo);
-          if (_lastDatum === pitchGroups[type][zone]) {
-            _lastDatum = null;
-            renderMetrics({ mph: undefined, spin: undefined, ivb: undefined, hb: undefined });
-          }
+          removeBallByType(combo, ballOpts.owner);
+          if (_lastDatum === pitchGroups[type][zone]) selectDatum(null);
         }
       });
 
@@ -178,6 +235,8 @@ export function buildPitchCheckboxes(pitcherData) {
 
       const wrap = document.createElement('div');
       wrap.className = 'checkbox-group';
+      const [col, row] = zoneGridCell(zone, withChase);
+      wrap.style.gridColumn = col; wrap.style.gridRow = row;
       wrap.appendChild(cb); wrap.appendChild(label);
       grid.appendChild(wrap);
       zoneBoxes.push(cb);
@@ -207,8 +266,7 @@ export function buildPitchCheckboxes(pitcherData) {
         cb.dispatchEvent(new Event('change'));
       }
     });
-    _lastDatum = null;
-    renderMetrics({ mph: undefined, spin: undefined, ivb: undefined, hb: undefined });
+    selectDatum(null);
   });
   container.appendChild(clr);
 }
@@ -216,46 +274,179 @@ export function buildPitchCheckboxes(pitcherData) {
 export function initControls(data, setPlaying) {
   const teamSelect    = document.getElementById('teamSelect');
   const pitcherSelect = document.getElementById('pitcherSelect');
-  const cameraSelect  = document.getElementById('cameraSelect');
+  const modeSelect    = document.getElementById('modeSelect');
+  const splitStand    = document.getElementById('splitStand');
+  const splitCount    = document.getElementById('splitCount');
+  const usageEl       = document.getElementById('usageBreakdown');
   const replayBtn     = document.getElementById('replayBtn');
   const toggleBtn     = document.getElementById('toggleBtn');
   const trailToggle   = document.getElementById('trailToggle');
+  const spinAxisToggle = document.getElementById('spinAxisToggle');
+  const modelSelect   = document.getElementById('flightModelSelect');
+  const envRow        = document.getElementById('envRow');
+  const tempInput     = document.getElementById('tempInput');
+  const elevInput     = document.getElementById('elevInput');
   const metricsPanel  = document.getElementById('metricsPanel');
+  const csvInput      = document.getElementById('csvInput');
+  const csvStatus     = document.getElementById('csvStatus');
+  const compareToggle = document.getElementById('compareToggle');
+
+  _data = data;
+  const populateTeams = () => {
+    teamSelect.innerHTML = '';
+    for (const team in _data) {
+      const opt = document.createElement('option');
+      opt.value = team; opt.textContent = team;
+      teamSelect.appendChild(opt);
+    }
+  };
+  populateTeams();
 
-  for (const team in data) {
-    const opt = document.createElement('option');
-    opt.value = team; opt.textContent = team;
-    teamSelect.appendChild(opt);
-  }
-
-  teamSelect.addEventListener('change', () => {
+  const fillPitchers = () => {
     pitcherSelect.innerHTML = '';
     _state.team = teamSelect.value;
-    for (const p in data[_state.team]) {
+    for (const p in _data[_state.team]) {
       const opt = document.createElement('option');
       opt.value = p; opt.textContent = p;
       pitcherSelect.appendChild(opt);
     }
+  };
+
+  teamSelect.addEventListener('change', () => {
+    fillPitchers();
     pitcherSelect.dispatchEvent(new Event('change'));
-    _writeUrl();
   });
 
+  splitCount.appendChild(new Option('All counts', 'all'));
+  for (const [value, text] of COUNT_GROUPS) splitCount.appendChild(new Option(text, value));
+
+  // zone averages (checkbox grid) or individual pitches (filters + list), both restricted
+  // to the matchup split; the split re-averages the zones from the individual pitches
+  let shownData = {};   // the (split) data on screen, for redrawing the usage bars
+  const renderPitcher = ({ modeChanged = false } = {}) => {
+    const fullData = _data[_state.team]?.[_state.pitcher] || {};
+    const canSplit = getPitchList(fullData).length > 0;
+    modeSelect.querySelector('option[value="pitches"]').disabled = !canSplit;
+    if (!canSplit) modeSelect.value = 'zones';
+    _state.mode = modeSelect.value;
+    splitStand.disabled = splitCount.disabled = !canSplit;
+    splitStand.title = splitCount.title = canSplit ? '' : 'Matchup splits need individual pitches (load a Savant CSV)';
+
+    const pitcherData = canSplit ? splitPitcherData(fullData, _split) : fullData;
+    const pitches = getPitchList(pitcherData);
+    renderUsage(usageEl, pitcherData);
+    shownData = pitcherData;
+    Bus.emit('pitcherData', { team: _state.team, pitcher: _state.pitcher, data: pitcherData });
+
+    // compare mode keeps every other pitcher's balls in the scene
+    if (isComparing()) addComparePitcher(_state.team, _state.pitcher, pitcherData);
+    const ballOpts = compareBallOpts(_state.team, _state.pitcher);
+    if (!isComparing()) clearBalls();
+    else if (modeChanged) clearBalls(ballOpts.owner ?? null);   // zone averages and single pitches don't mix
+    selectDatum(null);
+    if (_state.mode === 'pitches') {
+      buildPitchList(document.getElementById('pitchCheckboxes'), pitches, { onSelect: selectDatum, ballOpts });
+    } else {
+      buildPitchCheckboxes(pitcherData, ballOpts);
+    }
+  };
+
   pitcherSelect.addEventListener('change', () => {
     _state.pitcher = pitcherSelect.value;
-    clearBalls();
-    buildPitchCheckboxes(data[_state.team][_state.pitcher]);
-    _lastDatum = null;
-    renderMetrics({ mph: undefined, spin: undefined, ivb: undefined, hb: undefined });
-    _writeUrl();
+    renderPitcher();
   });
 
-  cameraSelect.addEventListener('change', (e) => { setCameraView(e.target.value); _writeUrl(); });
+  modeSelect.addEventListener('change', () => renderPitcher({ modeChanged: true }));
+
+  // a different subset re-averages every zone: rebuild the balls, keeping the zones that were on
+  const applySplit = () => {
+    const keys = _state.mode === 'zones' ? checkedKeys(compareBallOpts(_state.team, _state.pitcher).owner ?? null) : [];
+    _split = { stand: splitStand.value, countGroup: splitCount.value };
+    if (isComparing()) resplitCompare();
+    renderPitcher({ modeChanged: true });
+    checkKeys(keys);   // zones with no pitches in the split just stay off
+  };
+  splitStand.addEventListener('change', applySplit);
+  splitCount.addEventListener('change', applySplit);
+  Bus.on('palette', () => renderUsage(usageEl, shownData));
+
+  compareToggle.addEventListener('change', () => {
+    setCompareEnabled(compareToggle.checked);
+    renderPitcher();
+  });
 
   replayBtn.addEventListener('click', () => { clearTrails(); replayAll(); });
+  toggleBtn.addEventListener('click', () => setPlaying(p => !p));
+  Bus.on('playback', (s) => {
+    const label = s.playing ? 'Pause' : 'Play';
+    if (toggleBtn.textContent !== label) toggleBtn.textContent = label;
+  });
+
+  trailToggle.addEventListener('change', e => setTrailVisible(e.target.checked));
 
-  trailToggle.addEventListener('change', e => { setTrailVisible(e.target.checked); _writeUrl(); });
+  spinAxisToggle.addEventListener('change', e => setSpinAxesVisible(e.target.checked));
+
+  // an empty field falls back to the default; 0 °F and sea level are real values
+  const numberOr = (input, fallback) => {
+    const v = input.value.trim() === '' ? NaN : Number(input.value);
+    return Number.isFinite(v) ? v : fallback;
+  };
+  const applyFlightModel = () => {
+    envRow.hidden = modelSelect.value !== 'physics';
+    setFlightModel(modelSelect.value, {
+      temperatureF: numberOr(tempInput, 70),
+      elevationFt: numberOr(elevInput, 0)
+    });
+  };
+  modelSelect.addEventListener('change', applyFlightModel);
+  tempInput.addEventListener('change', applyFlightModel);
+  elevInput.addEventListener('change', applyFlightModel);
+  // a ballpark preset brings its elevation and typical temperature (ballpark.js)
+  Bus.on('parkConditions', ({ temperatureF, elevationFt }) => {
+    tempInput.value = temperatureF;
+    elevInput.value = elevationFt;
+    applyFlightModel();
+  });
+
+  // Savant CSV: file picker or drop anywhere on the page
+  const loadCsvFile = async (file) => {
+    if (!file) return;
+    csvStatus.textContent = `Reading ${file.name}…`;
+    try {
+      const { rows, data: fromCsv } = await loadSavantCsv(file);
+      if (!Object.keys(fromCsv).length) throw new Error('no rows with pitch_type and zone');
+      _data = fromCsv;
+      populateTeams();
+      teamSelect.selectedIndex = 0;
+      teamSelect.dispatchEvent(new Event('change'));
+      csvStatus.textContent = `${rows.length.toLocaleString()} pitches from ${file.name}`;
+    } catch (err) {
+      csvStatus.textContent = `Could not load ${file.name}: ${err.message}`;
+    }
+  };
+  csvInput.addEventListener('change', () => { loadCsvFile(csvInput.files[0]); csvInput.value = ''; });
+  window.addEventListener('dragover', (e) => { e.preventDefault(); document.body.classList.add('dragging'); });
+  window.addEventListener('dragleave', (e) => { if (!e.relatedTarget) document.body.classList.remove('dragging'); });
+  window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    document.body.classList.remove('dragging');
+    loadCsvFile(e.dataTransfer?.files?.[0]);
+  });
 
   buildMetricsPanel(metricsPanel);
+  initMetricCards({
+    grid: document.getElementById('m-cards'),
+    editor: document.getElementById('m-config'),
+    toggle: document.getElementById('m-configBtn')
+  });
+  Bus.on('designDelta', renderDesignDelta);
+  Bus.on('tunnelStats', renderTunnelStats);
+  Bus.on('releaseStats', renderReleaseStats);
+  Bus.on('compareStats', renderCompareStats);
+  Bus.on('pickBall', ({ key }) => {
+    const info = getBallsInfo().find(b => b.key === key);
+    if (info) selectDatum(info.datum, key);
+  });
 
   // Live updates for mph/spin; IVB/HB come from selected datum
   let loggedKeysOnce = false;
@@ -270,48 +461,153 @@ export function initControls(data, setPlaying) {
     const liveMph  = pick(last.mph, last.velocity, last.vel, last.release_speed);
     const liveSpin = pick(last.spin, last.rpm, last.release_spin_rate);
 
-    const base = metricsFromDatum(_lastDatum);
+    const base = _lastMetrics;
     const mph  = liveMph  !== undefined ? liveMph  : base.mph;
     const spin = liveSpin !== undefined ? liveSpin : base.spin;
 
-    renderMetrics({ mph, spin, ivb: base.ivb, hb: base.hb });
+    renderMetricCards({ ...base, mph, spin });
   });
 
-  const params = new URLSearchParams(location.search);
-  const wantTeam = params.get('team');
-  const wantPitcher = params.get('pitcher');
-  const wantView = params.get('view');
-  const wantTrail = params.get('trail');
-
-  if (wantTeam && data[wantTeam]) {
-    teamSelect.value = wantTeam;
-    teamSelect.dispatchEvent(new Event('change'));
-    if (wantPitcher && data[wantTeam][wantPitcher]) {
-      pitcherSelect.value = wantPitcher;
-      pitcherSelect.dispatchEvent(new Event('change'));
+  teamSelect.selectedIndex = 0;
+  teamSelect.dispatchEvent(new Event('change'));
+
+  registerSceneState({ teamSelect, pitcherSelect, modeSelect, splitStand, splitCount, trailToggle, spinAxisToggle,
+    modelSelect, tempInput, elevInput, compareToggle, fillPitchers, renderPitcher });
+}
+
+// ---------- shareable state (see urlstate.js) ----------
+// ball keys checked for one pitcher (owner is null outside compare mode)
+function checkedKeys(owner) {
+  return getBallsInfo().filter(b => (b.owner ?? null) === owner).map(b => b.type);
+}
+
+// Compare mode: apply the matchup split to every pitcher, not just the one being edited.
+// Zone balls keep their "TYPE zone" keys; individual pitches ("TYPE #id") are re-filtered.
+function resplitCompare() {
+  const split = new Map(getCompareEntries().map(e => [e.key, splitPitcherData(_data[e.team]?.[e.pitcher] || {}, _split)]));
+  refreshCompareData(e => split.get(e.key));
+  for (const e of getCompareEntries()) {
+    if (e.key === compareKey(_state.team, _state.pitcher)) continue;   // renderPitcher rebuilds the one being edited
+    const data = split.get(e.key);
+    const keys = checkedKeys(e.key);
+    const opts = compareBallOpts(e.team, e.pitcher);
+    clearBalls(e.key);
+    if (keys.some(k => k.includes('#'))) {
+      addBalls(flyingPitches(getPitchList(data)), pitchKey, opts);
+    } else {
+      const averages = getZoneAverages(data);
+      for (const key of keys) if (averages[key]) addBall(averages[key], key, opts);
     }
-  } else {
-    teamSelect.selectedIndex = 0;
-    teamSelect.dispatchEvent(new Event('change'));
   }
+}
 
-  if (wantView) {
-    cameraSelect.value = wantView;
-    cameraSelect.dispatchEvent(new Event('change'));
-  }
-  if (wantTrail) {
-    trailToggle.checked = (wantTrail === '1' || wantTrail === 'true');
-    trailToggle.dispatchEvent(new Event('change'));
+// tick zone checkboxes by "TYPE zone" key; returns the keys that don't exist here
+function checkKeys(keys) {
+  const missing = [];
+  for (const key of keys || []) {
+    const cb = document.getElementById(key);
+    if (!cb || cb.type !== 'checkbox') { missing.push(key); continue; }
+    if (!cb.checked) { cb.checked = true; cb.dispatchEvent(new Event('change')); }
   }
+  return missing;
+}
 
-  function _writeUrl() {
-    const q = new URLSearchParams({
-      team: _state.team || '',
-      pitcher: _state.pitcher || '',
-      view: cameraSelect.value || '',
-      trail: trailToggle.checked ? '1' : '0'
-    });
-    const newUrl = `${location.pathname}?${q.toString()}`;
-    history.replaceState(null, '', newUrl);
-  }
+const missingNote = (keys, who) =>
+  keys.length ? `${keys.length} pitch${keys.length > 1 ? 'es' : ''} from the link not found for ${who}: ${keys.join(', ')}.` : null;
+
+function registerSceneState(el) {
+  const owner = () => compareBallOpts(_state.team, _state.pitcher).owner ?? null;
+  const current = () => compareKey(_state.team, _state.pitcher);
+
+  // switch pitcher without auto-selecting the team's first one (compare mode would pin it)
+  const selectTeamPitcher = (team, pitcher) => {
+    if (el.teamSelect.value !== team) { el.teamSelect.value = team; el.fillPitchers(); }
+    el.pitcherSelect.value = pitcher;
+    el.pitcherSelect.dispatchEvent(new Event('change'));
+  };
+
+  let seeded = null;   // compare key of the pitcher compare mode picked up on its own while restoring
+
+  registerUrlState('cmp', {
+    order: 0,
+    get: () => (isComparing()
+      ? getCompareEntries().filter(e => e.key !== current()).map(e => [e.team, e.pitcher, checkedKeys(e.key)])
+      : undefined),
+    set: (list) => {
+      el.compareToggle.checked = true;
+      el.compareToggle.dispatchEvent(new Event('change'));
+      if (!list.some(([t, p]) => compareKey(t, p) === current())) seeded = current();
+      const notes = [];
+      for (const [team, pitcher, keys] of list) {
+        if (!_data[team]?.[pitcher]) { notes.push(`Compared pitcher "${pitcher}" isn't in this dataset.`); continue; }
+        el.modeSelect.value = 'zones';
+        selectTeamPitcher(team, pitcher);
+        notes.push(missingNote(checkKeys(keys), pitcher));
+      }
+      return notes.filter(Boolean).join(' ') || null;
+    }
+  });
+
+  // before everything else, so compared and restored pitchers are drawn from the split
+  registerUrlState('split', {
+    order: -1,
+    get: () => (_split.stand === 'all' && _split.countGroup === 'all' ? undefined : { s: _split.stand, c: _split.countGroup }),
+    set: ({ s, c } = {}) => {
+      el.splitStand.value = ['R', 'L'].includes(s) ? s : 'all';
+      el.splitCount.value = COUNT_GROUPS.some(([v]) => v === c) ? c : 'all';
+      el.splitStand.dispatchEvent(new Event('change'));
+      return null;
+    }
+  });
+
+  registerUrlState('pitcher', {
+    order: 1,
+    get: () => ({ team: _state.team, pitcher: _state.pitcher, mode: _state.mode }),
+    set: ({ team, pitcher, mode }) => {
+      const wantMode = mode === 'pitches' ? 'pitches' : 'zones';
+      const modeChanged = el.modeSelect.value !== wantMode;
+      el.modeSelect.value = wantMode;
+      if (!_data[team]) {
+        if (modeChanged) el.renderPitcher({ modeChanged });
+        return `Team "${team}" from the link isn't in this dataset; showing ${_state.team}.`;
+      }
+      const known = !!_data[team][pitcher];
+      const target = known ? pitcher : Object.keys(_data[team])[0];
+      if (_state.team !== team || _state.pitcher !== target) selectTeamPitcher(team, target);
+      else if (modeChanged) el.renderPitcher({ modeChanged });
+      if (seeded && seeded !== current()) removeComparePitcher(seeded);
+      return known ? null : `Pitcher "${pitcher}" from the link isn't on ${team}; showing ${_state.pitcher}.`;
+    }
+  });
+
+  registerUrlState('sel', {
+    order: 2,
+    get: () => (_state.mode === 'pitches' ? { f: getPitchFilters() } : checkedKeys(owner())),
+    set: (sel) => {
+      if (Array.isArray(sel)) return missingNote(checkKeys(sel), _state.pitcher);
+      setPitchFilters(sel.f);
+      el.renderPitcher({ modeChanged: true });
+      return null;
+    }
+  });
+
+  const bool = (input) => ({
+    get: () => (input.checked ? 1 : 0),
+    set: (on) => {
+      input.checked = !!on;
+      input.dispatchEvent(new Event('change'));
+    }
+  });
+  registerUrlState('trail', bool(el.trailToggle));
+  registerUrlState('axes', bool(el.spinAxisToggle));
+
+  registerUrlState('model', {
+    get: () => ({ m: el.modelSelect.value, t: Number(el.tempInput.value), e: Number(el.elevInput.value) }),
+    set: ({ m, t, e }) => {
+      el.modelSelect.value = m === 'physics' ? 'physics' : 'statcast';
+      if (Number.isFinite(t)) el.tempInput.value = t;
+      if (Number.isFinite(e)) el.elevInput.value = e;
+      el.modelSelect.dispatchEvent(new Event('change'));
+    }
+  });
 }
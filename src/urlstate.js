@@ -0,0 +1,133 @@
+import { Bus } from './data.js';
+
+/**
+ * Shareable scene state in the URL. Modules register a getter/setter pair under a short
+ * key; the combined state is stored as one `s` param: 'z' + base64url(deflate-raw(JSON))
+ * or 'j' + base64url(JSON), whichever is shorter. Links from before this
+ * (?team=…&pitcher=…&view=…) are still read.
+ *
+ * Setters run in ascending `order` so the pitcher exists before its pitches are checked.
+ */
+
+const _entries = new Map();   // key -> { get, set, order }
+let _restoring = false;
+let _timer = null;
+let _last = '';
+let _playback = '';   // the part of the playback state that goes in the link
+
+export function registerUrlState(key, { get, set, order = 10 }) {
+  _entries.set(key, { get, set, order });
+}
+
+// ---------- encoding ----------
+function toBase64Url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+async function pipe(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+// short states don't gain from deflate, so keep whichever form is shorter
+export async function encodeState(state) {
+  const json = new TextEncoder().encode(JSON.stringify(state));
+  const plain = `j${toBase64Url(json)}`;
+  if (typeof CompressionStream === 'undefined') return plain;
+  const packed = `z${toBase64Url(await pipe(json, new CompressionStream('deflate-raw')))}`;
+  return packed.length < plain.length ? packed : plain;
+}
+
+export async function decodeState(text) {
+  const kind = text[0];
+  if (kind !== 'z' && kind !== 'j') throw new Error('unknown encoding');
+  const bytes = fromBase64Url(text.slice(1));
+  const json = kind === 'z' ? await pipe(bytes, new DecompressionStream('deflate-raw')) : bytes;
+  return JSON.parse(new TextDecoder().decode(json));
+}
+
+// ---------- read / write ----------
+function collect() {
+  const state = {};
+  for (const [key, { get }] of _entries) {
+    const v = get();
+    if (v !== undefined && v !== null) state[key] = v;
+  }
+  return state;
+}
+
+async function writeNow() {
+  _timer = null;
+  if (_restoring) return;
+  const encoded = await encodeState(collect());
+  if (encoded === _last) return;
+  _last = encoded;
+  history.replaceState(null, '', `${location.pathname}?s=${encoded}`);
+}
+
+// throttled, not debounced: scrubbing a paused frame must not starve the write
+export function scheduleUrlWrite() {
+  if (_restoring || _timer) return;
+  _timer = setTimeout(writeNow, 400);
+}
+
+// 'playback' fires on every clock tick; only play/pause, speed, loop and a paused frame are state
+function onPlayback({ playing, speed, loop, t }) {
+  const key = `${playing}|${speed}|${loop}|${playing ? '' : t}`;
+  if (key === _playback) return;
+  _playback = key;
+  scheduleUrlWrite();
+}
+
+function legacyState(params) {
+  const state = {};
+  if (params.has('team')) state.pitcher = { team: params.get('team'), pitcher: params.get('pitcher'), mode: params.get('mode') };
+  if (params.has('view')) state.view = params.get('view');
+  if (params.has('trail')) state.trail = params.get('trail') === '1' || params.get('trail') === 'true';
+  if (params.has('model')) state.model = { m: params.get('model') };
+  return state;
+}
+
+/**
+ * Apply the state in the current URL. Returns the problems found (unknown pitcher,
+ * pitches missing from the data, …) so the caller can tell the user.
+ */
+export async function restoreUrlState() {
+  const params = new URLSearchParams(location.search);
+  const problems = [];
+  let state = {};
+  try {
+    state = params.has('s') ? await decodeState(params.get('s')) : legacyState(params);
+  } catch (err) {
+    problems.push('This link is damaged and could not be read.');
+  }
+
+  _restoring = true;
+  try {
+    const ordered = [..._entries].sort((a, b) => a[1].order - b[1].order);
+    for (const [key, { set }] of ordered) {
+      if (!(key in state)) continue;
+      try {
+        const issue = set(state[key]);
+        if (issue) problems.push(issue);
+      } catch (err) {
+        problems.push(`Could not restore "${key}": ${err.message}`);
+      }
+    }
+  } finally {
+    _restoring = false;
+  }
+
+  Bus.on('ballsChanged', scheduleUrlWrite);
+  Bus.on('playback', onPlayback);
+  document.addEventListener('change', scheduleUrlWrite, true);
+  scheduleUrlWrite();
+  return problems;
+}
@@ -0,0 +1,116 @@
+/**
+ * Minimal WebM (Matroska) muxer for VP8 key frames taken from lossy WebP images.
+ * Every frame gets an exact timestamp (i * 1000 / fps), so the clip plays at the
+ * requested frame rate no matter how long each frame took to render.
+ * Pure: works on Uint8Arrays and returns bytes.
+ */
+
+const ID = {
+  EBML: 0x1A45DFA3, EBMLVersion: 0x4286, EBMLReadVersion: 0x42F7, EBMLMaxIDLength: 0x42F2,
+  EBMLMaxSizeLength: 0x42F3, DocType: 0x4282, DocTypeVersion: 0x4287, DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067, Info: 0x1549A966, TimecodeScale: 0x2AD7B1, MuxingApp: 0x4D80,
+  WritingApp: 0x5741, Duration: 0x4489, Tracks: 0x1654AE6B, TrackEntry: 0xAE, TrackNumber: 0xD7,
+  TrackUID: 0x73C5, FlagLacing: 0x9C, Language: 0x22B59C, CodecID: 0x86, TrackType: 0x83,
+  DefaultDuration: 0x23E383, Video: 0xE0, PixelWidth: 0xB0, PixelHeight: 0xBA,
+  Cluster: 0x1F43B675, Timecode: 0xE7, SimpleBlock: 0xA3
+};
+
+const CLUSTER_MS = 5000; // SimpleBlock timecodes are int16 relative to their cluster
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
+
+function idBytes(id) {
+  const out = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) out.unshift(v % 256);
+  return Uint8Array.from(out);
+}
+
+// EBML variable-length size
+function vint(n) {
+  let len = 1;
+  while (n >= 2 ** (7 * len) - 1) len++;
+  const out = new Uint8Array(len);
+  for (let i = len - 1, v = n; i >= 0; i--, v = Math.floor(v / 256)) out[i] = v % 256;
+  out[0] |= 1 << (8 - len);
+  return out;
+}
+
+function uint(n) {
+  const out = [];
+  for (let v = n; v > 0; v = Math.floor(v / 256)) out.unshift(v % 256);
+  return Uint8Array.from(out.length ? out : [0]);
+}
+
+function float64(x) {
+  const b = new Uint8Array(8);
+  new DataView(b.buffer).setFloat64(0, x);
+  return b;
+}
+
+const text = (s) => new TextEncoder().encode(s);
+
+function el(id, body) {
+  const data = Array.isArray(body) ? concat(body) : body;
+  return concat([idBytes(id), vint(data.length), data]);
+}
+
+function simpleBlock(frame, relMs) {
+  const head = new Uint8Array(4);
+  head[0] = 0x81;                                    // track 1
+  new DataView(head.buffer).setInt16(1, relMs);
+  head[3] = 0x80;                                    // key frame
+  return el(ID.SimpleBlock, concat([head, frame]));
+}
+
+/** Pull the VP8 bitstream out of a lossy WebP file ('VP8 ' chunk). */
+export function extractVP8(webp) {
+  const str = (o) => String.fromCharCode(webp[o], webp[o + 1], webp[o + 2], webp[o + 3]);
+  if (str(0) !== 'RIFF' || str(8) !== 'WEBP') throw new Error('not a WebP image');
+  const view = new DataView(webp.buffer, webp.byteOffset, webp.byteLength);
+  for (let o = 12; o + 8 <= webp.length;) {
+    const size = view.getUint32(o + 4, true);
+    if (str(o) === 'VP8 ') return webp.subarray(o + 8, o + 8 + size);
+    o += 8 + size + (size & 1);
+  }
+  throw new Error('WebP has no lossy VP8 data');
+}
+
+/** frames: VP8 key frames (Uint8Array) -> WebM bytes */
+export function encodeWebM(frames, { width, height, fps }) {
+  const frameMs = 1000 / fps;
+  const header = el(ID.EBML, [
+    el(ID.EBMLVersion, uint(1)), el(ID.EBMLReadVersion, uint(1)),
+    el(ID.EBMLMaxIDLength, uint(4)), el(ID.EBMLMaxSizeLength, uint(8)),
+    el(ID.DocType, text('webm')), el(ID.DocTypeVersion, uint(2)), el(ID.DocTypeReadVersion, uint(2))
+  ]);
+
+  const info = el(ID.Info, [
+    el(ID.TimecodeScale, uint(1e6)),                   // timecodes in ms
+    el(ID.MuxingApp, text('NEWPV')), el(ID.WritingApp, text('NEWPV')),
+    el(ID.Duration, float64(frames.length * frameMs))
+  ]);
+
+  const tracks = el(ID.Tracks, el(ID.TrackEntry, [
+    el(ID.TrackNumber, uint(1)), el(ID.TrackUID, uint(1)), el(ID.FlagLacing, uint(0)),
+    el(ID.Language, text('und')), el(ID.CodecID, text('V_VP8')), el(ID.TrackType, uint(1)),
+    el(ID.DefaultDuration, uint(Math.round(frameMs * 1e6))),
+    el(ID.Video, [el(ID.PixelWidth, uint(width)), el(ID.PixelHeight, uint(height))])
+  ]));
+
+  const clusters = [];
+  for (let i = 0; i < frames.length;) {
+    const start = Math.round(i * frameMs);
+    const blocks = [el(ID.Timecode, uint(start))];
+    for (; i < frames.length && Math.round(i * frameMs) - start < CLUSTER_MS; i++) {
+      blocks.push(simpleBlock(frames[i], Math.round(i * frameMs) - start));
+    }
+    clusters.push(el(ID.Cluster, blocks));
+  }
+
+  return concat([header, el(ID.Segment, [info, tracks, ...clusters])]);
+}
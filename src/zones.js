@@ -0,0 +1,88 @@
+// Strike-zone geometry and Statcast zone numbering (pure, no DOM).
+// All values are Statcast frame feet: x = plate_x (catcher's right), z = height.
+//
+// Zones as the catcher sees them:
+//    11 |  1  2  3 | 12
+//       |  4  5  6 |
+//    13 |  7  8  9 | 14
+// 11–14 are the chase quadrants: everything outside the zone, split at its centre.
+
+export const PLATE_WIDTH = 17 / 12;
+export const PLATE_HALF_WIDTH = PLATE_WIDTH / 2;
+export const BALL_RADIUS_FT = 1.45 / 12;
+export const DEFAULT_ZONE = { top: 3.5, bot: 1.5 };
+export const STRIKE_ZONES = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+export const CHASE_ZONES = [11, 12, 13, 14];
+export const CHASE_MARGIN = PLATE_WIDTH / 3;   // drawn width of the chase band (one cell)
+
+// rulebook zone from standing height: hollow of the knee to the midpoint of shoulders/belt
+const TOP_PER_HEIGHT = 0.535;
+const BOT_PER_HEIGHT = 0.27;
+
+/** { top, bot } from sz_top/sz_bot (ft) or a batter height (inches), else the default. */
+export function zoneFromBatter({ sz_top, sz_bot, heightIn } = {}) {
+  if (Number.isFinite(sz_top) && Number.isFinite(sz_bot) && sz_top > sz_bot) return { top: sz_top, bot: sz_bot };
+  if (Number.isFinite(heightIn) && heightIn > 0) {
+    const ft = heightIn / 12;
+    return { top: ft * TOP_PER_HEIGHT, bot: ft * BOT_PER_HEIGHT };
+  }
+  return { ...DEFAULT_ZONE };
+}
+
+/** Mean sz_top/sz_bot over pitch records that carry them. */
+export function averageZone(records) {
+  const ok = records.filter(d => Number.isFinite(d?.sz_top) && Number.isFinite(d?.sz_bot));
+  if (!ok.length) return null;
+  const avg = (k) => ok.reduce((s, d) => s + d[k], 0) / ok.length;
+  return { top: avg('sz_top'), bot: avg('sz_bot') };
+}
+
+/**
+ * Statcast zone (1–9, 11–14) for a plate crossing. A pitch is in the zone when any
+ * part of the ball touches it, so the box is grown by a ball radius for the test;
+ * cells still split the nominal zone in thirds.
+ */
+export function zoneOf(plate_x, plate_z, zone = DEFAULT_ZONE) {
+  if (!Number.isFinite(plate_x) || !Number.isFinite(plate_z)) return null;
+  const hw = PLATE_HALF_WIDTH;
+  const inside = Math.abs(plate_x) <= hw + BALL_RADIUS_FT &&
+    plate_z <= zone.top + BALL_RADIUS_FT && plate_z >= zone.bot - BALL_RADIUS_FT;
+  if (inside) {
+    const third = (v, lo, hi) => Math.min(2, Math.max(0, Math.floor(((v - lo) / (hi - lo)) * 3)));
+    const col = third(plate_x, -hw, hw);
+    const row = 2 - third(plate_z, zone.bot, zone.top);
+    return row * 3 + col + 1;
+  }
+  const high = plate_z >= (zone.top + zone.bot) / 2;
+  const left = plate_x < 0;
+  return high ? (left ? 11 : 12) : (left ? 13 : 14);
+}
+
+/**
+ * Rectangles { x0, x1, z0, z1 } making up each zone's drawn area. Strike cells are
+ * one rect; chase zones are L-shapes (two rects) inside a band CHASE_MARGIN wide.
+ */
+export function zoneRects(id, zone = DEFAULT_ZONE) {
+  const hw = PLATE_HALF_WIDTH, m = CHASE_MARGIN;
+  const { top, bot } = zone, mid = (top + bot) / 2;
+  if (id >= 1 && id <= 9) {
+    const col = (id - 1) % 3, row = Math.floor((id - 1) / 3);
+    const w = PLATE_WIDTH / 3, h = (top - bot) / 3;
+    return [{ x0: -hw + col * w, x1: -hw + (col + 1) * w, z0: top - (row + 1) * h, z1: top - row * h }];
+  }
+  const left = id === 11 || id === 13;
+  const high = id === 11 || id === 12;
+  const [sx0, sx1] = left ? [-hw - m, -hw] : [hw, hw + m];     // side strip
+  const [cx0, cx1] = left ? [-hw, 0] : [0, hw];                 // cap strip above/below
+  const [sz0, sz1] = high ? [mid, top + m] : [bot - m, mid];
+  const [cz0, cz1] = high ? [top, top + m] : [bot - m, bot];
+  return [{ x0: sx0, x1: sx1, z0: sz0, z1: sz1 }, { x0: cx0, x1: cx1, z0: cz0, z1: cz1 }];
+}
+
+/** Where to print each zone's number. */
+export function zoneLabelPoint(id, zone = DEFAULT_ZONE) {
+  const [r] = zoneRects(id, zone);
+  if (id <= 9) return { x: (r.x0 + r.x1) / 2, z: (r.z0 + r.z1) / 2 };
+  const high = id === 11 || id === 12;
+  return { x: (r.x0 + r.x1) / 2, z: high ? r.z1 - CHASE_MARGIN / 2 : r.z0 + CHASE_MARGIN / 2 };
+}
@@ -0,0 +1,90 @@
+// Offline support. The app shell (page, modules, vendored three.js) is served from the
+// cache and refreshed in the background; the dataset is fetched network-first and the
+// last good copy is kept for when there is no network (stamped with X-Cached-At).
+// Bump SHELL_CACHE when the precache list changes (every module in src/ must be listed:
+// the first visit isn't controlled by the worker yet, so nothing is cached on the way).
+
+const SHELL_CACHE = 'newpv-shell-v3';   // v3: drops the per-link (?s=…) page copies v2 kept
+const DATA_CACHE = 'newpv-data-v1';
+const DATA_FILE = 'pitch_data.json';
+
+const PRECACHE = [
+  './',
+  './index.html',
+  './src/ballpark.js', './src/balls.js', './src/camera.js', './src/charts.js',
+  './src/compare.js', './src/data.js', './src/datastatus.js', './src/design.js',
+  './src/export.js', './src/filters.js', './src/main.js', './src/materials.js',
+  './src/metriccards.js', './src/metrics.js', './src/palette.js', './src/physics.js',
+  './src/picking.js', './src/pitchlist.js', './src/playback.js', './src/quiz.js',
+  './src/reaction.js', './src/release.js', './src/releaseview.js', './src/scene.js',
+  './src/schema.js', './src/sequence.js', './src/strikezone.js', './src/timeline.js',
+  './src/toast.js', './src/trails.js', './src/trajectory.js', './src/tunnel.js',
+  './src/tunnelview.js', './src/turf.js', './src/ui.js', './src/urlstate.js',
+  './src/webm.js', './src/zones.js',
+  './vendor/three/build/three.module.js',
+  './vendor/three/examples/jsm/controls/OrbitControls.js',
+  './vendor/three/examples/jsm/environments/RoomEnvironment.js'
+];
+
+// the dataset too, so the page that installed the worker already works offline next time
+async function precacheData() {
+  const response = await fetch(DATA_FILE, { cache: 'no-cache' });
+  if (response.ok) await (await caches.open(DATA_CACHE)).put(DATA_FILE, await stamped(response));
+}
+
+self.addEventListener('install', (event) => {
+  // a missing file must not block the worker from installing
+  event.waitUntil(caches.open(SHELL_CACHE)
+    .then(cache => Promise.allSettled([...PRECACHE.map(url => cache.add(url)), precacheData()]))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = new Set([SHELL_CACHE, DATA_CACHE]);
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => !keep.has(k)).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+async function stamped(response) {
+  const headers = new Headers(response.headers);
+  headers.set('X-Cached-At', new Date().toUTCString());
+  return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+async function dataFirstFromNetwork(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response.ok) await cache.put(DATA_FILE, await stamped(response.clone()));
+    return response;
+  } catch (err) {
+    const cached = await cache.match(DATA_FILE);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// cached without the query: every shared ?s= link is the same page, kept once
+async function shellFromCache(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const url = new URL(event.request.url);
+  url.search = '';
+  const cached = await cache.match(url.href);
+  const refresh = fetch(event.request).then(response => {
+    if (response.ok) cache.put(url.href, response.clone());
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.endsWith(`/${DATA_FILE}`)) event.respondWith(dataFirstFromNetwork(event.request));
+  else event.respondWith(shellFromCache(event));
+});
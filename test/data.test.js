@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, buildPitchDataFromRows, averagePitchRows, getPitchList, getZoneAverages } from '../src/data.js';
+
+test('parseCsv: quoted fields, doubled quotes and commas inside quotes', () => {
+  const rows = parseCsv('player_name,des\n"Cole, Gerrit","He said ""strike"""\n');
+  assert.deepEqual(rows, [{ player_name: 'Cole, Gerrit', des: 'He said "strike"' }]);
+});
+
+test('parseCsv: CRLF line endings, a BOM and no trailing newline', () => {
+  const rows = parseCsv('\uFEFFa,b\r\n1,2\r\n3,4');
+  assert.deepEqual(rows, [{ a: 1, b: 2 }, { a: 3, b: 4 }]);
+});
+
+test('parseCsv: quoted line breaks stay in the field', () => {
+  const rows = parseCsv('a,b\n"two\r\nlines",x\n');
+  assert.deepEqual(rows, [{ a: 'two\r\nlines', b: 'x' }]);
+});
+
+test('parseCsv: empty cells, "null" and short rows become null; numbers are numbers', () => {
+  const rows = parseCsv('a,b,c,d\n,null,-1.5e1,FF\n7\n');
+  assert.deepEqual(rows, [{ a: null, b: null, c: -15, d: 'FF' }, { a: 7, b: null, c: null, d: null }]);
+});
+
+test('parseCsv: blank lines are skipped', () => {
+  assert.deepEqual(parseCsv('a\n\n1\n\n'), [{ a: 1 }]);
+});
+
+const row = (over) => ({
+  player_name: 'Cole, Gerrit', pitch_type: 'FF', zone: 5, stand: 'R', p_throws: 'R',
+  inning_topbot: 'Top', home_team: 'NYY', away_team: 'BOS',
+  game_date: '2024-05-01', game_pk: 1, at_bat_number: 1, pitch_number: 1,
+  release_speed: 95, pfx_x: -0.5, pfx_z: 1.5, spin_axis: 200,
+  release_pos_x: -1.8, release_pos_z: 5.9, release_extension: 6.5,
+  vx0: 6, vy0: -138, vz0: -6, ax: -12, ay: 30, az: -14,
+  ...over
+});
+
+test('pitching team: the home team pitches the top of an inning, the away team the bottom', () => {
+  const data = buildPitchDataFromRows([
+    row({}),
+    row({ player_name: 'Bello, Brayan', inning_topbot: 'Bot' })
+  ]);
+  assert.deepEqual(Object.keys(data), ['BOS', 'NYY']);
+  assert.ok(data.NYY['Cole, Gerrit']);
+  assert.ok(data.BOS['Bello, Brayan']);
+});
+
+test('buildPitchDataFromRows: "TYPE zone" averages carry n and converted units', () => {
+  const data = buildPitchDataFromRows([
+    row({ release_speed: 94, pfx_z: 1.25 }),
+    row({ release_speed: 96, pfx_z: 1.75, pitch_number: 2 }),
+    row({ pitch_type: 'SL', zone: 14, release_speed: 86, pfx_x: 0.5, pfx_z: 0, pitch_number: 3 }),
+    row({ pitch_type: null, pitch_number: 4 }),      // no type: skipped
+    row({ zone: null, pitch_number: 5 })             // no zone: skipped
+  ]);
+  const zones = getZoneAverages(data.NYY['Cole, Gerrit']);
+  assert.deepEqual(Object.keys(zones).sort(), ['FF 5', 'SL 14']);
+  assert.equal(zones['FF 5'].n, 2);
+  assert.equal(zones['FF 5'].mph, 95);
+  assert.equal(zones['FF 5'].release_speed_mph, 95);
+  assert.equal(zones['FF 5'].ivb_in, 18);
+  assert.equal(zones['SL 14'].n, 1);
+  assert.equal(zones['SL 14'].hb_in, 6);
+});
+
+test('buildPitchDataFromRows: the pitch list keeps every usable pitch in game order', () => {
+  const data = buildPitchDataFromRows([
+    row({ game_date: '2024-05-02', pitch_number: 1 }),
+    row({ game_date: '2024-05-01', at_bat_number: 2, pitch_number: 1 }),
+    row({ game_date: '2024-05-01', at_bat_number: 1, pitch_number: 2, pitch_type: 'CH' })
+  ]);
+  const list = getPitchList(data.NYY['Cole, Gerrit']);
+  assert.deepEqual(list.map(p => p.id), [2, 1, 0]);
+  assert.equal(list[0].pitch_type, 'CH');
+  assert.equal(list[0].mph, 95);
+  assert.equal(list[0].hb_in, -6);
+  assert.equal(list[0].stand, 'R');
+});
+
+test('averagePitchRows: spin axis is averaged as an angle across 0/360', () => {
+  const d = averagePitchRows([{ spin_axis: 350 }, { spin_axis: 10 }]);
+  assert.ok(Math.abs(((d.spin_axis + 180) % 360) - 180) < 1e-9);
+});
+
+test('averagePitchRows: null cells are left out of the mean', () => {
+  const d = averagePitchRows([{ release_speed: 90, vx0: null }, { release_speed: null, vx0: 4 }]);
+  assert.equal(d.n, 2);
+  assert.equal(d.mph, 90);
+  assert.equal(d.vx0, 4);
+  assert.equal(d.ax, null);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPhysicsTrajectory, airDensity, axisToClock, clockToAxis, DEFAULT_ENV } from '../src/physics.js';
+import { createTrajectory, releaseVelocity, MOUND_TO_PLATE, PLATE_FRONT_Y, GRAVITY } from '../src/trajectory.js';
+
+// a four-seamer in Savant's shape (vx0..az at y = 50 ft), as in trajectory.test.js
+const FF = {
+  pitch_type: 'FF', release_speed: 94.5, release_spin_rate: 2350, spin_axis: 210,
+  release_pos_x: -1.76, release_pos_z: 5.81, release_extension: 6.6,
+  vx0: 6.12, vy0: -137.41, vz0: -6.83, ax: -11.9, ay: 30.4, az: -14.2
+};
+const plateZ = (traj) => traj.plateLocation().plate_z;
+
+test('timeToPlate is finite and close to the Statcast fit for a normal row', () => {
+  const t = createPhysicsTrajectory(FF).timeToPlate();
+  assert.ok(Number.isFinite(t));
+  assert.ok(Math.abs(t - createTrajectory(FF).timeToPlate()) < 0.02, `physics ${t}`);
+  assert.ok(Number.isFinite(createPhysicsTrajectory(FF).timeToScenePlate()));
+});
+
+test('pure backspin (axis 180) holds the pitch up against the same pitch at 0 rpm', () => {
+  const spun = createPhysicsTrajectory(FF, { spinRate: 2400, spinAxis: 180, efficiency: 1 });
+  const dead = createPhysicsTrajectory(FF, { spinRate: 0, spinAxis: 180, efficiency: 1 });
+  assert.ok(plateZ(spun) - plateZ(dead) > 1, `${plateZ(spun)} vs ${plateZ(dead)}`);
+  // and topspin (axis 0) pulls it down
+  const top = createPhysicsTrajectory(FF, { spinRate: 2400, spinAxis: 0, efficiency: 1 });
+  assert.ok(plateZ(top) < plateZ(dead));
+});
+
+// drag only, written out separately: a = -k * CD0 * |v| * v - g, with Nathan's constants
+function dragOnlyPlate(d, env = DEFAULT_ENV) {
+  const radius = (9.125 * 0.0254) / (2 * Math.PI);
+  const k = 0.5 * airDensity(env) * Math.PI * radius * radius / 0.1453 * 0.3048 * 0.3008;
+  let p = [Number(d.release_pos_x), MOUND_TO_PLATE - Number(d.release_extension), Number(d.release_pos_z)];
+  const v0 = releaseVelocity(d);
+  let v = [v0.x, v0.y, v0.z];
+  const h = 1e-4;
+  while (p[1] > PLATE_FRONT_Y) {
+    const speed = Math.hypot(...v);
+    const a = [-k * speed * v[0], -k * speed * v[1], -k * speed * v[2] - GRAVITY];
+    p = p.map((x, i) => x + v[i] * h);
+    v = v.map((x, i) => x + a[i] * h);
+  }
+  return { plate_x: p[0], plate_z: p[2] };
+}
+
+test('0 rpm is a drag-only flight', () => {
+  for (const env of [DEFAULT_ENV, { temperatureF: 40, elevationFt: 5200 }]) {
+    const got = createPhysicsTrajectory(FF, { spinRate: 0, env }).plateLocation();
+    const want = dragOnlyPlate(FF, env);
+    assert.ok(Math.abs(got.plate_x - want.plate_x) < 0.01, `x ${got.plate_x} vs ${want.plate_x}`);
+    assert.ok(Math.abs(got.plate_z - want.plate_z) < 0.01, `z ${got.plate_z} vs ${want.plate_z}`);
+  }
+});
+
+test('airDensity falls with elevation and with temperature', () => {
+  assert.ok(Math.abs(airDensity() - 1.2) < 0.02);
+  assert.ok(airDensity({ elevationFt: 5200 }) < airDensity({ elevationFt: 0 }));
+  assert.ok(airDensity({ temperatureF: 95 }) < airDensity({ temperatureF: 60 }));
+});
+
+test('airDensity: 0 °F and sea level are real values, not the defaults', () => {
+  const cold = airDensity({ temperatureF: 0, elevationFt: 0 });
+  assert.ok(Number.isFinite(cold));
+  assert.ok(cold > airDensity({ temperatureF: DEFAULT_ENV.temperatureF }));
+  assert.ok(Math.abs(cold - 1.38) < 0.01, `${cold}`);   // 101325 Pa / (287.05 · 255.4 K)
+  // and a cold night carries less: the ball sinks more than at 70 °F
+  const at = (temperatureF) => plateZ(createPhysicsTrajectory(FF, { env: { temperatureF, elevationFt: 0 } }));
+  assert.notEqual(at(0), at(DEFAULT_ENV.temperatureF));
+});
+
+test('axisToClock / clockToAxis round-trip', () => {
+  assert.equal(axisToClock(180), '12:00');
+  assert.equal(axisToClock(225), '1:30');
+  assert.equal(axisToClock(0), '6:00');
+  assert.equal(clockToAxis('12:00'), 180);
+  assert.equal(clockToAxis('3'), 270);
+  assert.ok(Number.isNaN(clockToAxis('noon')));
+  for (let deg = 0; deg < 360; deg += 7.5) {
+    assert.equal(clockToAxis(axisToClock(deg)), deg);
+  }
+  for (const text of ['12:00', '1:15', '6:45', '11:30']) assert.equal(axisToClock(clockToAxis(text)), text);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePitchData, pitchIssues, KINEMATIC_FIELDS } from '../src/schema.js';
+
+const GOOD = {
+  release_pos_x: -1.8, release_pos_z: 5.9, release_extension: 6.5,
+  vx0: 6, vy0: -138, vz0: -6, ax: -12, ay: 30, az: -14
+};
+
+test('pitchIssues: a complete fit has no issues', () => {
+  assert.deepEqual(pitchIssues(GOOD), []);
+});
+
+test('pitchIssues: every missing, empty or non-finite kinematic field is named', () => {
+  for (const f of KINEMATIC_FIELDS) {
+    assert.deepEqual(pitchIssues({ ...GOOD, [f]: undefined }), [`${f} missing`]);
+    assert.deepEqual(pitchIssues({ ...GOOD, [f]: null }), [`${f} empty`]);
+    assert.deepEqual(pitchIssues({ ...GOOD, [f]: NaN }), [`${f} NaN`]);
+    assert.deepEqual(pitchIssues({ ...GOOD, [f]: Infinity }), [`${f} Infinity`]);
+  }
+  assert.match(pitchIssues({ ...GOOD, vx0: '6' })[0], /^vx0 not a number/);
+  assert.equal(pitchIssues({}).length, KINEMATIC_FIELDS.length);
+  assert.deepEqual(pitchIssues(null), ['not an object']);
+  assert.deepEqual(pitchIssues([GOOD]), ['not an object']);
+});
+
+test('pitchIssues: the ball must travel toward the plate', () => {
+  assert.deepEqual(pitchIssues({ ...GOOD, vy0: 12 }), ['vy0 must be negative (got 12)']);
+  assert.deepEqual(pitchIssues({ ...GOOD, vy0: 0 }), ['vy0 must be negative (got 0)']);
+});
+
+test('validatePitchData: bad pitches are dropped and reported, good ones kept', () => {
+  const { data, problems, total } = validatePitchData({
+    NYY: {
+      Cole: {
+        'FF 5': GOOD,
+        'SL 14': { ...GOOD, vy0: 5 },
+        pitches: [{ ...GOOD, id: 0, pitch_type: 'FF' }, { ...GOOD, id: 1, pitch_type: 'CH', az: NaN }]
+      }
+    }
+  });
+  assert.deepEqual(Object.keys(data.NYY.Cole), ['FF 5', 'pitches']);
+  assert.deepEqual(data.NYY.Cole.pitches.map(p => p.id), [0]);
+  assert.equal(total, 4);
+  assert.deepEqual(problems.map(p => [p.team, p.pitcher, p.key]), [['NYY', 'Cole', 'SL 14'], ['NYY', 'Cole', 'CH #1']]);
+});
+
+test('validatePitchData: _meta is not a team and is not counted', () => {
+  const { data, problems, total } = validatePitchData({ _meta: { version: '1' }, NYY: { Cole: { 'FF 5': GOOD } } });
+  assert.deepEqual(Object.keys(data), ['NYY']);
+  assert.deepEqual(problems, []);
+  assert.equal(total, 1);
+});
+
+test('validatePitchData: pitchers and teams left empty are dropped', () => {
+  const { data, problems, total } = validatePitchData({
+    NYY: { Cole: { 'FF 5': GOOD }, Stroman: { 'SI 4': { ...GOOD, vx0: null }, pitches: [] } },
+    BOS: { Bello: { 'CH 8': { ...GOOD, vy0: 3 } } }
+  });
+  assert.deepEqual(Object.keys(data), ['NYY']);
+  assert.deepEqual(Object.keys(data.NYY), ['Cole']);
+  assert.equal(problems.length, 2);
+  assert.equal(total, 3);
+});
+
+test('validatePitchData: malformed entries are problems without a key and add nothing to total', () => {
+  const { data, problems, total } = validatePitchData({ NYY: 'oops', BOS: { Bello: 3, Whitlock: { pitches: {} } } });
+  assert.deepEqual(data, {});
+  assert.equal(total, 0);
+  assert.deepEqual(problems.map(p => p.key), [null, null, 'pitches']);
+});
+
+// datastatus.js counts keyed problems as excluded pitches: ready while total > excluded
+test('validatePitchData: problems/total tell a usable dataset from an unusable one', () => {
+  const excluded = ({ problems }) => problems.filter(p => p.key !== null).length;
+  const some = validatePitchData({ NYY: { Cole: { 'FF 5': GOOD, 'SL 14': { ...GOOD, ax: null } } } });
+  assert.ok(some.total > excluded(some));
+  const none = validatePitchData({ NYY: { Cole: { 'FF 5': { ...GOOD, ax: null } } } });
+  assert.equal(none.total, excluded(none));
+  assert.throws(() => validatePitchData(null), /expected an object/);
+  assert.throws(() => validatePitchData([]), /expected an object/);
+});
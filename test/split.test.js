@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { COUNT_GROUPS, inCountGroup, usageByType } from '../src/filters.js';
+import { splitPitcherData, getPitchList, getZoneAverages, PITCH_LIST_KEY } from '../src/data.js';
+
+const ALL_COUNTS = [];
+for (let balls = 0; balls <= 3; balls++) for (let strikes = 0; strikes <= 2; strikes++) ALL_COUNTS.push({ balls, strikes });
+const countsIn = (group) => ALL_COUNTS.filter(p => inCountGroup(p, group)).map(p => `${p.balls}-${p.strikes}`);
+
+test('count groups are seen from the pitcher', () => {
+  assert.deepEqual(countsIn('ahead'), ['0-1', '0-2', '1-2']);
+  assert.deepEqual(countsIn('even'), ['0-0', '1-1', '2-2']);
+  assert.deepEqual(countsIn('behind'), ['1-0', '2-0', '2-1', '3-0', '3-1', '3-2']);
+  assert.deepEqual(countsIn('two'), ['0-2', '1-2', '2-2', '3-2']);
+  assert.equal(countsIn('all').length, 12);
+  assert.deepEqual(COUNT_GROUPS.map(([v]) => v), ['ahead', 'even', 'behind', 'two']);
+});
+
+test('ahead, even and behind cover every count exactly once', () => {
+  for (const p of ALL_COUNTS) {
+    assert.equal(['ahead', 'even', 'behind'].filter(g => inCountGroup(p, g)).length, 1);
+  }
+});
+
+test('a pitch without a count only matches "all"', () => {
+  assert.equal(inCountGroup({ balls: 1 }, 'all'), true);
+  for (const [group] of COUNT_GROUPS) assert.equal(inCountGroup({ balls: 1 }, group), false);
+  assert.equal(inCountGroup({ balls: 0, strikes: 0 }, 'nonsense'), false);
+});
+
+test('usageByType: shares sum to 100, most used first, ties by name', () => {
+  const usage = usageByType([{ pitch_type: 'SL' }, { pitch_type: 'FF' }, { pitch_type: 'FF' }, { pitch_type: 'CH' }, {}]);
+  assert.deepEqual(usage.map(u => [u.type, u.n]), [['FF', 2], ['CH', 1], ['SL', 1]]);
+  assert.equal(usage[0].pct, 50);
+  assert.equal(usage.reduce((a, u) => a + u.pct, 0), 100);
+  assert.deepEqual(usageByType([]), []);
+});
+
+test('usageByType: weight counts zone averages as n pitches', () => {
+  const usage = usageByType([{ pitch_type: 'FF', n: 30 }, { pitch_type: 'SL', n: 10 }], p => p.n);
+  assert.deepEqual(usage.map(u => [u.type, u.pct]), [['FF', 75], ['SL', 25]]);
+});
+
+// two zones, both hands, several counts; mph tells the rows apart in the averages
+const pitch = (id, pitch_type, zone, stand, balls, strikes, mph) =>
+  ({ id, pitch_type, zone, stand, balls, strikes, mph, release_speed_mph: mph, vx0: id, ivb_in: mph / 10 });
+const PITCHES = [
+  pitch(0, 'FF', 5, 'R', 0, 0, 94),
+  pitch(1, 'FF', 5, 'L', 0, 2, 100),
+  pitch(2, 'FF', 5, 'R', 3, 1, 98),
+  pitch(3, 'SL', 14, 'L', 1, 2, 85),
+  pitch(4, 'SL', 14, 'R', 2, 0, 87)
+];
+const FULL = { 'FF 5': { n: 3, mph: 97.33 }, 'SL 14': { n: 2, mph: 86 }, [PITCH_LIST_KEY]: PITCHES };
+
+test('splitPitcherData: "all" / no split returns the data unchanged', () => {
+  assert.equal(splitPitcherData(FULL, { stand: 'all', countGroup: 'all' }), FULL);
+  assert.equal(splitPitcherData(FULL, null), FULL);
+});
+
+test('splitPitcherData: datasets without individual pitches cannot be split', () => {
+  const zonesOnly = { 'FF 5': { n: 3, mph: 96 } };
+  assert.equal(splitPitcherData(zonesOnly, { stand: 'L', countGroup: 'all' }), zonesOnly);
+});
+
+test('splitPitcherData: batter side R / L', () => {
+  const r = splitPitcherData(FULL, { stand: 'R', countGroup: 'all' });
+  assert.deepEqual(getPitchList(r).map(p => p.id), [0, 2, 4]);
+  const l = splitPitcherData(FULL, { stand: 'L', countGroup: 'all' });
+  assert.deepEqual(getPitchList(l).map(p => p.id), [1, 3]);
+});
+
+test('splitPitcherData: count groups, alone and with a batter side', () => {
+  const ids = (split) => getPitchList(splitPitcherData(FULL, split)).map(p => p.id);
+  assert.deepEqual(ids({ stand: 'all', countGroup: 'ahead' }), [1, 3]);
+  assert.deepEqual(ids({ stand: 'all', countGroup: 'even' }), [0]);
+  assert.deepEqual(ids({ stand: 'all', countGroup: 'behind' }), [2, 4]);
+  assert.deepEqual(ids({ stand: 'all', countGroup: 'two' }), [1, 3]);
+  assert.deepEqual(ids({ stand: 'R', countGroup: 'behind' }), [2, 4]);
+  assert.deepEqual(ids({ stand: 'L', countGroup: 'even' }), []);
+});
+
+test('splitPitcherData: "TYPE zone" keys are re-averaged from the matching pitches only', () => {
+  const r = getZoneAverages(splitPitcherData(FULL, { stand: 'R', countGroup: 'all' }));
+  assert.deepEqual(Object.keys(r).sort(), ['FF 5', 'SL 14']);
+  assert.equal(r['FF 5'].n, 2);
+  assert.equal(r['FF 5'].mph, 96);        // 94 and 98; all three FF 5 pitches average 97.33
+  assert.equal(r['FF 5'].vx0, 1);         // ids 0 and 2
+  assert.ok(Math.abs(r['FF 5'].ivb_in - 9.6) < 1e-9);
+  assert.equal(r['SL 14'].mph, 87);
+
+  const behind = getZoneAverages(splitPitcherData(FULL, { stand: 'all', countGroup: 'behind' }));
+  assert.equal(behind['FF 5'].n, 1);
+  assert.equal(behind['FF 5'].mph, 98);
+
+  // zones with no pitches left in the split disappear
+  const even = getZoneAverages(splitPitcherData(FULL, { stand: 'all', countGroup: 'even' }));
+  assert.deepEqual(Object.keys(even), ['FF 5']);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTrajectory, releaseSpeedMph, STATCAST_Y0 } from '../src/trajectory.js';
+
+// Savant-shaped rows (vx0..az at y = 50 ft) whose release_pos_*, plate_x/plate_z and
+// release_speed come from the same constant-acceleration fit, rounded like a Savant export.
+// flight_s is the fit's time from release to the front of the plate.
+const ROWS = [
+  { pitch_type: 'FF', release_speed: 94.5, release_pos_x: -1.76, release_pos_z: 5.81, release_extension: 6.6,
+    vx0: 6.12, vy0: -137.41, vz0: -6.83, ax: -11.9, ay: 30.4, az: -14.2, plate_x: -0.13, plate_z: 2.14, flight_s: 0.3969 },
+  { pitch_type: 'SL', release_speed: 85.7, release_pos_x: -2.0, release_pos_z: 5.8, release_extension: 6.2,
+    vx0: 2.35, vy0: -124.86, vz0: -3.12, ax: 4.8, ay: 24.9, az: -33.6, plate_x: -0.57, plate_z: 1.68, flight_s: 0.4398 },
+  { pitch_type: 'CH', release_speed: 84.7, release_pos_x: -2.0, release_pos_z: 5.62, release_extension: 6.4,
+    vx0: 8.41, vy0: -123.02, vz0: -4.47, ax: -17.3, ay: 25.6, az: -25.1, plate_x: 0.29, plate_z: 1.51, flight_s: 0.4459 },
+  { pitch_type: 'CU', release_speed: 78.9, release_pos_x: 1.93, release_pos_z: 5.92, release_extension: 5.9,
+    vx0: -1.05, vy0: -114.73, vz0: 1.96, ax: 7.2, ay: 21.8, az: -42.7, plate_x: 2.12, plate_z: 2.72, flight_s: 0.482 }
+];
+
+const FT = 0.03;   // ~1/3 in: the rounding of release_pos_* carries straight through
+
+for (const row of ROWS) {
+  test(`${row.pitch_type}: plateLocation matches plate_x / plate_z`, () => {
+    const { plate_x, plate_z } = createTrajectory(row).plateLocation();
+    assert.ok(Math.abs(plate_x - row.plate_x) < FT, `plate_x ${plate_x} vs ${row.plate_x}`);
+    assert.ok(Math.abs(plate_z - row.plate_z) < FT, `plate_z ${plate_z} vs ${row.plate_z}`);
+  });
+
+  test(`${row.pitch_type}: timeToPlate is the flight from release`, () => {
+    assert.ok(Math.abs(createTrajectory(row).timeToPlate() - row.flight_s) < 0.001);
+  });
+
+  test(`${row.pitch_type}: release velocity is the fit's velocity at release, not at y = ${STATCAST_Y0} ft`, () => {
+    const v = createTrajectory(row).velocity;
+    assert.ok(Math.abs(Math.hypot(v.x, v.y, v.z) * 0.681818 - row.release_speed) < 0.1);
+  });
+}
+
+test('release_speed is already mph', () => {
+  assert.equal(releaseSpeedMph({ release_speed: 93 }), 93);
+  assert.ok(Math.abs(releaseSpeedMph({ vx0: 0, vy0: -146.67, vz0: 0 }) - 100) < 0.01);
+});